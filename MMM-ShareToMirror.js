@@ -2,7 +2,8 @@
 
 /**
  * MMM-ShareToMirror
- * Zoom-proof YouTube overlay (handles body { zoom } and avoids transforms)
+ * Zoom-proof video overlay (handles body { zoom } and avoids transforms)
+ * Players for each provider (YouTube, Vimeo, video files) live in providers/<name>.player.js
  * Optional integration to pause MMM-MagicMover while playing.
  * @author Smart'Gic
  * @license MIT
@@ -25,7 +26,29 @@ Module.register("MMM-ShareToMirror", {
     },
     caption: { enabled: false, lang: "en" },
     quality: { target: "auto", floor: null, ceiling: null, lock: false },
-    magicMoverIntegration: true      // send MAGIC_MOVER_OFF/ON around playback
+    magicMoverIntegration: true,     // send MAGIC_MOVER_OFF/ON around playback
+    duringPlayback: {                // what happens to other modules while a video plays
+      hide: [],                      // module names or classes to hide
+      dim: [],                       // module names or classes to fade to dimOpacity
+      dimOpacity: 0.25,
+      speed: 500,                    // hide/show/dim animation (ms)
+      notifications: { start: [], stop: [] } // [{ notification, payload }] sent when playback starts/stops
+    },
+    autoStop: { paused: 0, buffering: 0 }, // stop a video left paused / stuck buffering this many seconds (0 = never)
+    statusInterval: 1000,            // ms between player position reports to the helper
+    auth: { enabled: false, pinTimeout: 120, admins: [] }, // require paired devices (PIN shown on the mirror); admins = device IDs that may edit the content filter
+    qrCode: { autoShow: true, duration: 60, url: null }, // QR of the PWA address; url overrides the LAN address
+    volume: { default: 100, max: 100 }, // starting volume and hard ceiling (0-100)
+    playbackRate: 1,                 // starting speed (0.25-2, as offered by YouTube)
+    dataPath: null,                  // where devices etc. are stored (default: <module>/data)
+    photos: { duration: 60, fit: "contain", maxFiles: 20, maxSize: 20 }, // shared photos: seconds shown (0 = until dismissed), contain|cover, upload limits (MB)
+    notes: { duration: 14400, maxLength: 500, limit: 10 }, // shared text notes: default lifetime (s, 0 = until dismissed), length, how many on screen
+    links: { duration: 120, pages: true }, // shared web links: seconds shown (0 = until dismissed), allow showing the page itself in a sandboxed frame
+    schedule: [],                    // videos started at set times: { url, time: "HH:MM", days, ... } or { url, cron }, see README
+    quietHours: [],                  // times shared videos are refused, held or limited: { from: "22:00", to: "07:00", action }, see README
+    contentFilter: { kidsMode: false, allowChannels: [], denyChannels: [], allowVideos: [], denyVideos: [], blockKeywords: [] }, // see README
+    providers: ["youtube", "vimeo", "file"], // video sources accepted from phones
+    mirrors: []                      // other mirrors the PWA may control ("http://192.168.1.21:8570"), see README
   },
 
   /* ---------------- lifecycle ---------------- */
@@ -34,10 +57,24 @@ Module.register("MMM-ShareToMirror", {
     this._fsOn = false;
     this._playing = false;
     this._onResize = null;
-    this.ytPlayer = null;
+    this._statusTimer = null;
+    this._cards = {};
+    this.player = null; // provider adapter, see providers/youtube.player.js
+    this._pendingMedia = null;
+    this._nowPlaying = null; // what STM_PLAYBACK_* notifications describe
+    this._hiddenModules = []; // hidden/dimmed by duringPlayback, restored when playback stops
+    this._dimmedModules = [];
+    this._autoStopTimer = null;
+    this._autoStopState = null;
+    this._content = null; // "photo" or "page" while the overlay shows something other than a video
+    this._notesEl = null;
     this.overlayEl = null;
 
     this._validateConfig();
+    // Volume and mute carry over from one video to the next
+    this._volume = this.config.volume.default;
+    this._muted = false;
+    this._rate = this.config.playbackRate;
     this.sendSocketNotification("STM_START", this.config);
 
     if (this.config.invisible) this.hide(0);
@@ -46,6 +83,7 @@ Module.register("MMM-ShareToMirror", {
 
   stop () {
     this._stopVideo("module_stop");
+    this._stopStatusReports();
     if (this._onResize) {
       window.removeEventListener("resize", this._onResize);
       window.removeEventListener("orientationchange", this._onResize);
@@ -53,13 +91,16 @@ Module.register("MMM-ShareToMirror", {
     }
     if (this.overlayEl?.parentNode) this.overlayEl.parentNode.removeChild(this.overlayEl);
     this.overlayEl = null;
+    this._notesEl?.remove();
+    this._notesEl = null;
+    Object.keys(this._cards).forEach((name) => this._hideCard(name));
 
-    try { this.ytPlayer?.destroy?.(); } catch (e) { Log.warn(`${this.name}: Destroy error:`, e); }
-    if (window.onYouTubeIframeAPIReady) window.onYouTubeIframeAPIReady = null;
+    try { this.player?.destroy(); } catch (e) { Log.warn(`${this.name}: Destroy error:`, e); }
     Log.info(`${this.name}: Stopped`);
   },
 
   getStyles () { return ["MMM-ShareToMirror.css"]; },
+  getScripts () { return ["providers/youtube.player.js", "providers/vimeo.player.js", "providers/file.player.js"]; },
 
   getDom () {
     const root = document.createElement("div");
@@ -88,22 +129,53 @@ Module.register("MMM-ShareToMirror", {
     if (!langs.includes(c.caption.lang)) { Log.warn(`${this.name}: Bad caption lang, using en`); c.caption.lang = "en"; }
     const qs = ["auto","144p","240p","360p","480p","720p","1080p","1440p","2160p"];
     if (!qs.includes(c.quality.target)) { Log.warn(`${this.name}: Bad quality, using auto`); c.quality.target = "auto"; }
+    const isLevel = (v) => Number.isInteger(v) && v >= 0 && v <= 100;
+    if (!isLevel(c.volume.max)) { Log.warn(`${this.name}: Bad volume.max, using 100`); c.volume.max = 100; }
+    if (!isLevel(c.volume.default)) { Log.warn(`${this.name}: Bad volume.default, using 100`); c.volume.default = 100; }
+    c.volume.default = Math.min(c.volume.default, c.volume.max);
+    if (![0.25, 0.5, 0.75, 1, 1.25, 1.5, 1.75, 2].includes(c.playbackRate)) {
+      Log.warn(`${this.name}: Bad playbackRate, using 1`); c.playbackRate = 1;
+    }
+    if (!Number.isInteger(c.statusInterval) || c.statusInterval < 250) {
+      Log.warn(`${this.name}: Bad statusInterval, using 1000`); c.statusInterval = 1000;
+    }
+    // MagicMirror² merges config shallowly; fill in what a partial duringPlayback block left out
+    const dp = c.duringPlayback = { ...this.defaults.duringPlayback, ...c.duringPlayback };
+    for (const key of ["hide", "dim"]) {
+      if (typeof dp[key] === "string") dp[key] = dp[key].split(/\s+/).filter(Boolean);
+      if (!Array.isArray(dp[key]) || dp[key].some((v) => typeof v !== "string")) {
+        Log.warn(`${this.name}: Bad duringPlayback.${key}, expected module names or classes`); dp[key] = [];
+      }
+    }
+    if (!(Number.isFinite(dp.dimOpacity) && dp.dimOpacity >= 0 && dp.dimOpacity <= 1)) {
+      Log.warn(`${this.name}: Bad duringPlayback.dimOpacity, using 0.25`); dp.dimOpacity = 0.25;
+    }
+    if (!Number.isInteger(dp.speed) || dp.speed < 0) { Log.warn(`${this.name}: Bad duringPlayback.speed, using 500`); dp.speed = 500; }
+    dp.notifications = { start: [], stop: [], ...dp.notifications };
+    for (const key of ["start", "stop"]) {
+      const list = dp.notifications[key];
+      if (!Array.isArray(list) || list.some((n) => typeof n?.notification !== "string")) {
+        Log.warn(`${this.name}: Bad duringPlayback.notifications.${key}, expected [{ notification, payload }]`);
+        dp.notifications[key] = [];
+      }
+    }
+    const as = c.autoStop = { ...this.defaults.autoStop, ...c.autoStop };
+    for (const key of ["paused", "buffering"]) {
+      if (!Number.isFinite(as[key]) || as[key] < 0) { Log.warn(`${this.name}: Bad autoStop.${key}, using 0 (never)`); as[key] = 0; }
+    }
   },
 
   _setupOverlay () {
     // ESC to stop
     window.addEventListener("keydown", (ev) => {
       if (ev.key === "Escape" && this.overlayEl && this.overlayEl.style.display !== "none") {
-        ev.preventDefault(); this._stopVideo("escape");
+        ev.preventDefault();
+        const content = this._content;
+        if (!content) { this._stopVideo("escape"); return; }
+        this._hideContent();
+        this.sendSocketNotification(content === "page" ? "STM_LINK_CLOSED" : "STM_PHOTO_CLOSED", { reason: "escape" });
       }
     });
-    // YouTube API
-    if (!window.YT) {
-      const s = document.createElement("script");
-      s.src = "https://www.youtube.com/iframe_api";
-      s.onerror = () => Log.error(`${this.name}: Failed to load YouTube API`);
-      document.head.appendChild(s);
-    }
     // Relayout on resize/orientation
     this._onResize = () => this._reflow();
     window.addEventListener("resize", this._onResize);
@@ -254,25 +326,28 @@ Module.register("MMM-ShareToMirror", {
   _reflow () { this._fsOn ? this._layoutFullscreen() : this._layoutWindowed(); },
 
   /* ---------------- player helpers ---------------- */
-  _mapQuality (q) {
-    const m = { "144p":"tiny","240p":"small","360p":"medium","480p":"large","720p":"hd720","1080p":"hd1080","1440p":"hd1440","2160p":"hd2160" };
-    return q === "auto" ? "default" : (m[q] || null);
+  // Quiet hours mute only the video they started (media.muted); this._muted carries over to later videos
+  _playerSettings (media) {
+    const { caption, quality } = this.config;
+    return { caption, quality, volume: Math.min(this._volume, this.config.volume.max), muted: this._muted || Boolean(media?.muted), rate: this._rate };
   },
   _applyPlayerSettings () {
-    if (!this.ytPlayer) return;
-    try {
-      if (this.config.caption.enabled) {
-        this.ytPlayer.setOption("captions", "track", { languageCode: this.config.caption.lang });
-        this.ytPlayer.setOption("captions", "reload", true);
-      } else {
-        this.ytPlayer.setOption("captions", "track", {});
-      }
-    } catch (e) { Log.warn(`${this.name}: Caption error:`, e); }
+    if (!this.player) return;
+    try { this.player.applyOptions({ caption: this.config.caption, quality: this.config.quality }); }
+    catch (e) { Log.warn(`${this.name}: Player settings error:`, e); }
+  },
 
-    try {
-      const q = this._mapQuality(this.config.quality.target);
-      if (q && this.ytPlayer.setPlaybackQuality) this.ytPlayer.setPlaybackQuality(q);
-    } catch (e) { Log.warn(`${this.name}: Quality error:`, e); }
+  _applyVolume () {
+    if (!this.player) return;
+    try { this.player.setVolume(Math.min(this._volume, this.config.volume.max), this._muted); }
+    catch (e) { Log.warn(`${this.name}: Volume error:`, e); }
+  },
+
+  _applyRate () {
+    if (!this.player) return;
+    Promise.resolve(this.player.setRate(this._rate))
+      .then((applied) => { this._rate = applied; })
+      .catch((e) => Log.warn(`${this.name}: Rate error:`, e));
   },
 
   /* ---------------- play/stop ---------------- */
@@ -290,7 +365,9 @@ Module.register("MMM-ShareToMirror", {
     return stage;
   },
 
-  _createPlayer (videoId) {
+  _createPlayer (media) {
+    const adapter = window.ShareToMirrorPlayers?.[media.provider || "youtube"];
+    try { this.player?.destroy(); } catch (e) { /* ignore */ }
     const stage = this._ensureStage();
     const host = document.createElement("div");
     host.id = `stm-player-${Date.now()}`;
@@ -298,68 +375,451 @@ Module.register("MMM-ShareToMirror", {
     stage.innerHTML = "";
     stage.appendChild(host);
 
-    this.ytPlayer = new YT.Player(host.id, {
-      width: "100%", height: "100%", videoId,
-      playerVars: {
-        autoplay: 1, controls: 1, modestbranding: 1, rel: 0, iv_load_policy: 3,
-        fs: 0, playsinline: 1, cc_load_policy: this.config.caption.enabled ? 1 : 0,
-        hl: this.config.caption.lang
+    this.player = adapter.create(host, media, this._playerSettings(media), {
+      onState: (state) => { this._reportStatus(); this._onPlaybackState(state); },
+      onPlaylist: (p) => {
+        this.sendSocketNotification("STM_PLAYLIST_STATE", { playlistId: media.playlistId, ...p });
+        this._onPlaylistTrack(p.videoId);
       },
-      events: {
-        onReady: (ev) => { ev.target.playVideo(); this._applyPlayerSettings(); },
-        onApiChange: () => this._applyPlayerSettings(),
-        onPlaybackQualityChange: () => { if (this.config.quality.lock) this._applyPlayerSettings(); },
-        onStateChange: (e) => { if (e.data === 0) this._stopVideo("ended"); },
-        onError: (e) => { Log.error(`${this.name}: Player error:`, e.data); this._stopVideo("error"); }
-      }
+      // Let the helper decide: next queued video or close the overlay
+      onEnded: () => this.sendSocketNotification("STM_EMBEDDED_ENDED", { videoId: media.videoId }),
+      onError: (err) => { Log.error(`${this.name}: Player error:`, err); this._playbackError(err); this._stopVideo("error"); }
     });
   },
 
-  _playVideo (videoId) {
-    if (!videoId || !this.overlayEl) return;
-    this._fsOn = false;
+  /* ---------------- status reports ---------------- */
+  _startStatusReports () {
+    this._stopStatusReports();
+    this._statusTimer = setInterval(() => this._reportStatus(), this.config.statusInterval);
+  },
+  _stopStatusReports () {
+    if (this._statusTimer) clearInterval(this._statusTimer);
+    this._statusTimer = null;
+  },
+  _reportStatus () {
+    const player = this.player;
+    if (!player) return;
+    Promise.resolve()
+      .then(() => player.getStatus())
+      .then((status) => {
+        // Skip reports from a player that was replaced meanwhile, or not ready yet
+        if (status && player === this.player) this.sendSocketNotification("STM_PLAYER_STATUS", status);
+      })
+      .catch((e) => Log.warn(`${this.name}: Status report error:`, e));
+  },
+
+  _playVideo (media) {
+    if (!(media?.videoId || media?.playlistId) || !this.overlayEl) return;
+    const adapter = window.ShareToMirrorPlayers?.[media.provider || "youtube"];
+    if (!adapter) { Log.error(`${this.name}: No player for provider ${media.provider}`); return; }
+    this._hideContent();
+    if (!this._playing) this._fsOn = false; // keep the display mode when advancing the queue
+    // Scheduled videos (alarms) can bring their own volume
+    if (Number.isInteger(media.volume)) {
+      this._volume = Math.max(0, Math.min(this.config.volume.max, media.volume));
+      this._muted = false;
+    }
     this.overlayEl.style.display = "block";
     this._reflow();
 
-    if (window.YT && window.YT.Player) this._createPlayer(videoId);
-    else window.onYouTubeIframeAPIReady = () => this._createPlayer(videoId);
+    // The next queued video replaces the current one without a stop
+    this._clearAutoStop();
+    this._endPlayback("next");
+    this._nowPlaying = this._newPlayback(media);
 
-    // Pause MagicMover while playing (if present)
-    if (this.config.magicMoverIntegration && !this._playing) {
-      this.sendNotification?.("MAGIC_MOVER_OFF");
-    }
+    // Provider APIs load on first use; a newer request may have replaced this one meanwhile
+    this._pendingMedia = media;
+    adapter.load(media)
+      .then(() => { if (this._pendingMedia === media && this._playing) this._createPlayer(media); })
+      .catch((e) => { Log.error(`${this.name}:`, e.message); this._playbackError(e.message); this._stopVideo("error"); });
+    this._startStatusReports();
+
+    if (!this._playing) this._enterPlayback();
     this._playing = true;
   },
 
   _stopVideo (reason = "manual") {
-    try { this.ytPlayer?.stopVideo?.(); } catch (e) { /* ignore */ }
-    if (this.overlayEl) this.overlayEl.style.display = "none";
+    this._stopStatusReports();
+    this._clearAutoStop();
+    this._pendingMedia = null;
+    try { this.player?.stop(); } catch (e) { /* ignore */ }
+    if (this.overlayEl && !this._content) this.overlayEl.style.display = "none";
     this._fsOn = false;
+    this._endPlayback(reason);
     this.sendSocketNotification("STM_EMBEDDED_STOPPED", { reason });
 
-    if (this.config.magicMoverIntegration && this._playing) {
-      this.sendNotification?.("MAGIC_MOVER_ON");
-    }
+    if (this._playing) this._leavePlayback();
     this._playing = false;
   },
 
+  /* ---------------- other modules during playback ---------------- */
+  _enterPlayback () {
+    // Pause MagicMover while playing (if present)
+    if (this.config.magicMoverIntegration) this.sendNotification?.("MAGIC_MOVER_OFF");
+
+    const { hide, dim, dimOpacity, speed, notifications } = this.config.duringPlayback;
+    const find = (names) => (names.length ? MM.getModules().withClass(names).exceptModule(this) : []);
+    // Modules someone else already hid stay theirs; the lock string keeps ours from being shown by others
+    this._hiddenModules = find(hide).filter((m) => !m.hidden);
+    this._hiddenModules.forEach((m) => m.hide(speed, () => {}, { lockString: this.identifier }));
+
+    // MagicMirror² has no dim API, so fade the module's wrapper and remember what it had
+    this._dimmedModules = find(dim)
+      .filter((m) => !this._hiddenModules.includes(m))
+      .map((m) => document.getElementById(m.identifier))
+      .filter(Boolean)
+      .map((el) => {
+        const saved = { el, opacity: el.style.opacity, transition: el.style.transition };
+        el.style.transition = `opacity ${speed / 1000}s`;
+        el.style.opacity = String(dimOpacity);
+        return saved;
+      });
+
+    notifications.start.forEach(({ notification, payload }) => this.sendNotification(notification, payload));
+  },
+
+  _leavePlayback () {
+    if (this.config.magicMoverIntegration) this.sendNotification?.("MAGIC_MOVER_ON");
+
+    const { speed, notifications } = this.config.duringPlayback;
+    this._hiddenModules.forEach((m) => m.show(speed, () => {}, { lockString: this.identifier }));
+    this._hiddenModules = [];
+    this._dimmedModules.forEach(({ el, opacity, transition }) => {
+      el.style.opacity = opacity;
+      // Keep the fade while restoring, then hand the element back as it was
+      setTimeout(() => { el.style.transition = transition; }, speed);
+    });
+    this._dimmedModules = [];
+
+    notifications.stop.forEach(({ notification, payload }) => this.sendNotification(notification, payload));
+  },
+
+  /* ---------------- playback notifications for other modules ---------------- */
+  _newPlayback (media, videoId = media.videoId) {
+    const { provider = "youtube", playlistId = null, url = null } = media;
+    return { provider, videoId: videoId || null, playlistId, url, title: null, channel: null, duration: null, state: null, info: false, announced: false, timer: null };
+  },
+
+  _playbackPayload (np, extra = {}) {
+    const { provider, videoId, playlistId, url, title, channel, duration } = np;
+    return { provider, videoId, playlistId, url, title, channel, duration, ...extra };
+  },
+
+  _onPlaybackState (state) {
+    this._armAutoStop(state);
+    const np = this._nowPlaying;
+    if (!np) return;
+    const previous = np.state;
+    np.state = state;
+
+    if (state === "playing" && !np.timer && !np.announced) {
+      // Wait briefly for the helper's title/channel lookup (STM_MEDIA_INFO) unless it already arrived
+      np.timer = setTimeout(() => this._announcePlayback(np), np.info ? 0 : 3000);
+    } else if (np.announced && state === "paused" && previous !== "paused") {
+      this.sendNotification("STM_PLAYBACK_PAUSED", this._playbackPayload(np));
+    } else if (np.announced && state === "playing" && previous === "paused") {
+      this.sendNotification("STM_PLAYBACK_RESUMED", this._playbackPayload(np));
+    }
+  },
+
+  // Count down while the player sits paused or buffering (autoStop); any other state cancels it
+  _armAutoStop (state) {
+    if (state === this._autoStopState) return; // repeated reports keep the countdown going
+    this._clearAutoStop();
+    this._autoStopState = state;
+    const seconds = state === "paused" || state === "buffering" ? this.config.autoStop[state] : 0;
+    if (!seconds) return;
+    this._autoStopTimer = setTimeout(() => {
+      Log.info(`${this.name}: Video ${state} for ${seconds}s, stopping`);
+      this._stopVideo(state === "paused" ? "idle" : "stalled");
+    }, seconds * 1000);
+  },
+
+  _clearAutoStop () {
+    clearTimeout(this._autoStopTimer);
+    this._autoStopTimer = null;
+    this._autoStopState = null;
+  },
+
+  _announcePlayback (np) {
+    if (np !== this._nowPlaying || np.announced) return;
+    clearTimeout(np.timer);
+    np.announced = true;
+    const player = this.player;
+    // Players know the real duration (0 for live streams); the lookup is only a fallback
+    Promise.resolve()
+      .then(() => player?.getStatus())
+      .catch(() => null)
+      .then((status) => {
+        if (status?.duration > 0) np.duration = Math.round(status.duration);
+        this.sendNotification("STM_PLAYBACK_STARTED", this._playbackPayload(np));
+      });
+  },
+
+  _applyMediaInfo (info) {
+    const np = this._nowPlaying;
+    if (!np || !info?.videoId || info.videoId !== np.videoId) return;
+    np.title = info.title ?? np.title;
+    np.channel = info.channel ?? np.channel;
+    np.duration = np.duration ?? info.duration;
+    np.info = true;
+    if (np.timer && !np.announced) this._announcePlayback(np);
+  },
+
+  _onPlaylistTrack (videoId) {
+    const np = this._nowPlaying;
+    if (!np || !videoId || videoId === np.videoId) return;
+    // Each playlist track counts as its own playback
+    this._endPlayback("next");
+    this._nowPlaying = this._newPlayback(np, videoId);
+    this._onPlaybackState("playing");
+  },
+
+  _endPlayback (reason) {
+    const np = this._nowPlaying;
+    if (!np) return;
+    clearTimeout(np.timer);
+    this._nowPlaying = null;
+    if (np.announced) this.sendNotification("STM_PLAYBACK_ENDED", this._playbackPayload(np, { reason }));
+  },
+
+  _playbackError (error) {
+    const np = this._nowPlaying || this._newPlayback(this._pendingMedia || {});
+    this.sendNotification("STM_PLAYBACK_ERROR", this._playbackPayload(np, { error: String(error?.message ?? error) }));
+  },
+
+  /* ---------------- overlay content (photos, pages) ---------------- */
+  _showContent (kind, nodes) {
+    if (!this.overlayEl) return;
+    if (this._playing) this._stopVideo(kind);
+    // The video player's element goes away with the stage contents
+    try { this.player?.destroy(); } catch (e) { /* ignore */ }
+    this.player = null;
+
+    const stage = this._ensureStage();
+    stage.innerHTML = "";
+    stage.append(...nodes);
+
+    if (this._content !== kind) this._fsOn = false;
+    this._content = kind;
+    this.overlayEl.style.display = "block";
+    this._reflow();
+  },
+
+  _hideContent (kind = this._content) {
+    if (!this._content || this._content !== kind) return;
+    this._content = null;
+    const stage = this.overlayEl?.querySelector(".ytc-stage");
+    if (stage) stage.innerHTML = "";
+    if (this.overlayEl && !this._playing) this.overlayEl.style.display = "none";
+  },
+
+  _showPhoto (photo) {
+    if (!photo?.url) return;
+    // Photos are served by the helper's own web server, not MagicMirror's
+    const base = `${this.config.https.enabled ? "https" : "http"}://${location.hostname}:${this.config.port}`;
+    const img = document.createElement("img");
+    img.className = "stm-photo";
+    img.src = `${base}${photo.url}`;
+    img.alt = photo.name || "Shared photo";
+    img.style.objectFit = photo.fit === "cover" ? "cover" : "contain";
+    img.onerror = () => Log.warn(`${this.name}: Could not load photo ${photo.name}`);
+
+    const nodes = [img];
+    if (photo.total > 1) nodes.push(this._text("div", "stm-photo__position", `${photo.index + 1} / ${photo.total}`));
+    this._showContent("photo", nodes);
+  },
+
+  /* ---------------- web links ---------------- */
+  _showLink (link) {
+    if (!link?.url) return;
+    if (link.mode === "page") {
+      this._hideCard("link");
+      // The helper only offers page mode for sites that allow framing; scripts run, but without access to the mirror
+      const frame = document.createElement("iframe");
+      frame.className = "stm-page";
+      frame.src = link.url;
+      frame.title = link.title || link.url;
+      frame.sandbox = "allow-scripts allow-same-origin";
+      frame.referrerPolicy = "no-referrer";
+      this._showContent("page", [frame]);
+      return;
+    }
+
+    this._hideContent("page");
+    const nodes = [];
+    if (link.image) {
+      const img = document.createElement("img");
+      img.className = "stm-link__image";
+      img.src = link.image;
+      img.alt = "";
+      img.referrerPolicy = "no-referrer";
+      img.onerror = () => img.remove();
+      nodes.push(img);
+    }
+    const body = document.createElement("div");
+    body.className = "stm-link__body";
+    body.append(this._text("div", "stm-link__site", link.siteName), this._text("div", "stm-card__title", link.title));
+    if (link.description) body.appendChild(this._text("div", "stm-link__description", link.description));
+    nodes.push(body);
+    if (link.qr) {
+      const qr = document.createElement("img");
+      qr.className = "stm-card__qr";
+      qr.src = link.qr;
+      qr.alt = `QR code for ${link.url}`;
+      nodes.push(qr);
+    }
+    // The helper decides when the link goes away
+    this._showCard("link", nodes);
+  },
+
+  _hideLink () {
+    this._hideCard("link");
+    this._hideContent("page");
+  },
+
   _setOverlayFullscreen (on) { this._fsOn = !!on; this._reflow(); },
   _toggleOverlayFullscreen () { this._setOverlayFullscreen(!this._fsOn); },
 
+  /* ---------------- info cards (PIN, QR code, ...) ---------------- */
+  _showCard (name, nodes, timeoutMs = 0) {
+    this._hideCard(name);
+    const el = document.createElement("div");
+    el.className = `stm-card stm-card--${name}`;
+    el.setAttribute("role", "status");
+    el.append(...nodes);
+    document.body.appendChild(el); // body, like the overlay, to escape region transforms
+    const timer = timeoutMs > 0 ? setTimeout(() => this._hideCard(name), timeoutMs) : null;
+    this._cards[name] = { el, timer };
+    return el;
+  },
+  _hideCard (name) {
+    const card = this._cards[name];
+    if (!card) return;
+    clearTimeout(card.timer);
+    card.el.parentNode?.removeChild(card.el);
+    delete this._cards[name];
+  },
+  _text (tag, className, text) {
+    const el = document.createElement(tag);
+    el.className = className;
+    el.textContent = text;
+    return el;
+  },
+  _showPin (pin, expiresIn) {
+    this._showCard("pin", [
+      this._text("div", "stm-card__title", "Pair your phone"),
+      this._text("div", "stm-card__pin", String(pin).replace(/(\d{3})(?=\d)/, "$1 ")),
+      this._text("div", "stm-card__hint", "Enter this PIN in the Share to MagicMirror² app")
+    ], (Number(expiresIn) || 120) * 1000);
+  },
+
+  _showQr (image, url, duration) {
+    const img = document.createElement("img");
+    img.className = "stm-card__qr";
+    img.src = image;
+    img.alt = `QR code for ${url}`;
+    this._showCard("qr", [
+      this._text("div", "stm-card__title", "Share to this mirror"),
+      img,
+      this._text("div", "stm-card__hint", url)
+    ], (Number(duration) || 0) * 1000);
+  },
+
+  /* ---------------- notes ---------------- */
+  _renderNotes (notes) {
+    if (!this._notesEl) {
+      this._notesEl = document.createElement("div");
+      this._notesEl.className = "stm-notes";
+      this._notesEl.setAttribute("aria-live", "polite");
+      document.body.appendChild(this._notesEl); // body, like the cards, to escape region transforms
+    }
+    this._notesEl.innerHTML = "";
+
+    // The helper removes expired notes and sends the new list, so no timers here
+    for (const note of notes || []) {
+      const el = document.createElement("div");
+      el.className = "stm-note";
+      el.appendChild(this._text("div", "stm-note__text", note.text));
+      const until = note.expiresAt ? `until ${new Date(note.expiresAt).toLocaleTimeString([], { hour: "2-digit", minute: "2-digit" })}` : null;
+      const meta = [note.sender, until].filter(Boolean).join(" · ");
+      if (meta) el.appendChild(this._text("div", "stm-note__meta", meta));
+      this._notesEl.appendChild(el);
+    }
+  },
+
+  /* ---------------- notifications from other modules ---------------- */
+  notificationReceived (n, payload, sender) {
+    switch (n) {
+      case "STM_SHOW_QR":
+        this.sendSocketNotification("STM_QR_REQUEST", { duration: payload?.duration });
+        break;
+      case "STM_HIDE_QR":
+        this._hideCard("qr");
+        break;
+      case "STM_PLAY":
+      case "STM_ENQUEUE":
+      case "STM_STOP":
+      case "STM_CONTROL":
+      case "STM_OVERLAY": {
+        // A bare string is accepted as the URL (play/enqueue) or action (control/overlay)
+        const key = n === "STM_PLAY" || n === "STM_ENQUEUE" ? "url" : "action";
+        const body = typeof payload === "string" ? { [key]: payload } : payload;
+        if (body != null && typeof body !== "object") {
+          Log.warn(`${this.name}: Ignoring ${n} from ${sender?.name || "unknown module"}: payload must be an object`);
+          break;
+        }
+        // The helper runs it through the same checks as the HTTP API and logs the outcome
+        this.sendSocketNotification("STM_COMMAND", { command: n, payload: body || {}, sender: sender?.name || null });
+        break;
+      }
+    }
+  },
+
   /* ---------------- sockets ---------------- */
   socketNotificationReceived (n, payload) {
     switch (n) {
       case "STM_PLAY_EMBED":
-        if (payload?.videoId) this._playVideo(payload.videoId);
+        if (payload?.videoId || payload?.playlistId) this._playVideo(payload);
         break;
       case "STM_STOP_EMBED":
         this._stopVideo(payload?.reason || "api");
         break;
+      case "STM_MEDIA_INFO":
+        this._applyMediaInfo(payload);
+        break;
       case "STM_OPTIONS":
         if (payload?.caption) Object.assign(this.config.caption, payload.caption);
         if (payload?.quality) Object.assign(this.config.quality, payload.quality);
         this._applyPlayerSettings();
         break;
+      case "STM_SHOW_PIN":
+        if (payload?.pin) this._showPin(payload.pin, payload.expiresIn);
+        break;
+      case "STM_HIDE_PIN":
+        this._hideCard("pin");
+        break;
+      case "STM_SHOW_QR":
+        if (payload?.image) this._showQr(payload.image, payload.url, payload.duration);
+        break;
+      case "STM_HIDE_QR":
+        this._hideCard("qr");
+        break;
+      case "STM_SHOW_PHOTO":
+        this._showPhoto(payload);
+        break;
+      case "STM_HIDE_PHOTO":
+        this._hideContent("photo");
+        break;
+      case "STM_SHOW_LINK":
+        this._showLink(payload);
+        break;
+      case "STM_HIDE_LINK":
+        this._hideLink();
+        break;
+      case "STM_NOTES":
+        this._renderNotes(payload?.notes);
+        break;
       case "STM_VIDEO_CONTROL":
         this._handleVideoControl(payload);
         break;
@@ -374,19 +834,38 @@ Module.register("MMM-ShareToMirror", {
   },
 
   _handleVideoControl (payload) {
-    if (!this.ytPlayer || !payload?.action) return;
+    if (!this.player || !payload?.action) return;
     const { action } = payload; const seconds = Number(payload.seconds) || 10;
+    const player = this.player;
+    // Position-based actions need the current time/duration, which some providers only report asynchronously
+    const seekWith = (target) => Promise.resolve(player.getStatus())
+      .then((st) => { if (st) player.seek(target(st.currentTime || 0, st.duration || 0)); })
+      .catch((e) => Log.warn(`${this.name}: Seek error:`, e));
     try {
-      if (action === "pause") this.ytPlayer.pauseVideo?.();
-      else if (action === "resume") this.ytPlayer.playVideo?.();
-      else if (action === "rewind") {
-        const t = this.ytPlayer.getCurrentTime?.() || 0;
-        this.ytPlayer.seekTo?.(Math.max(0, t - seconds), true);
-      } else if (action === "forward") {
-        const t = this.ytPlayer.getCurrentTime?.() || 0;
-        const d = this.ytPlayer.getDuration?.() || t + 1;
-        this.ytPlayer.seekTo?.(Math.min(d, t + seconds), true);
+      if (action === "pause") player.pause();
+      else if (action === "resume") player.play();
+      else if (action === "rewind") seekWith((t) => Math.max(0, t - seconds));
+      else if (action === "forward") seekWith((t, d) => Math.min(d || t + seconds, t + seconds));
+      else if (action === "next") player.next();
+      else if (action === "previous") player.previous();
+      else if (action === "volume") {
+        const base = Number.isFinite(payload.level) ? payload.level : this._volume + Number(payload.delta || 0);
+        this._volume = Math.max(0, Math.min(this.config.volume.max, Math.round(base)));
+        this._muted = this._volume === 0 ? this._muted : false; // turning it up unmutes
+        this._applyVolume();
+      } else if (action === "mute" || action === "unmute") {
+        this._muted = action === "mute";
+        this._applyVolume();
+      } else if (action === "seek") {
+        seekWith((t, d) => {
+          const target = Number.isFinite(payload.percent) ? d * payload.percent / 100 : Number(payload.position) || 0;
+          return d ? Math.min(d, Math.max(0, target)) : Math.max(0, target);
+        });
+      } else if (action === "rate" && Number.isFinite(payload.rate)) {
+        this._rate = payload.rate;
+        this._applyRate();
       }
+      setTimeout(() => this._reportStatus(), 250); // let phones see the change right away
     } catch (err) { Log.error(`${this.name}: Video control error:`, err); }
   }
 });
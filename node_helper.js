@@ -1,53 +1,133 @@
 /**
  * Node Helper for MMM-ShareToMirror
- * Handles HTTP server, API endpoints, and YouTube URL parsing
+ * Handles HTTP server, API endpoints, and dispatching shared links to video providers
  * @author Smart'Gic
  * @license Apache-2
  * @version 1.7.0
  */
 
+const crypto = require("crypto");
+const dns = require("dns");
 const fs = require("fs");
 const http = require("http");
 const https = require("https");
+const net = require("net");
+const os = require("os");
 const path = require("path");
 const zlib = require("zlib");
 const NodeHelper = require("node_helper");
 const express = require("express");
 const bodyParser = require("body-parser");
 const multer = require("multer");
+const QRCode = require("qrcode");
+const { PROVIDERS, loadProviders } = require("./providers");
+const { parseYouTubeId } = require("./providers/youtube");
+
+// Speeds offered by the YouTube player; used until the mirror reports its own list
+const PLAYBACK_RATES = [0.25, 0.5, 0.75, 1, 1.25, 1.5, 1.75, 2];
+
+// Image types accepted for photo sharing (what Chromium/Electron can display)
+const PHOTO_TYPES = ["image/jpeg", "image/png", "image/gif", "image/webp", "image/avif", "image/bmp"];
+const PHOTO_FITS = ["contain", "cover"];
+
+// Weekday names used by schedule rules, in Date#getDay() order
+const WEEKDAYS = ["sun", "mon", "tue", "wed", "thu", "fri", "sat"];
+// What happens to a video shared during quiet hours
+const QUIET_ACTIONS = ["refuse", "queue", "limit"];
+// Lists of the content filter; video lists hold video or playlist IDs
+const FILTER_LISTS = ["allowChannels", "denyChannels", "allowVideos", "denyVideos", "blockKeywords"];
+
+// This machine and the local network (loopback, private, shared, link-local, multicast); link previews never fetch from them
+const PRIVATE_NETWORKS = new net.BlockList();
+[["0.0.0.0", 8], ["10.0.0.0", 8], ["100.64.0.0", 10], ["127.0.0.0", 8], ["169.254.0.0", 16], ["172.16.0.0", 12], ["192.168.0.0", 16], ["224.0.0.0", 3]]
+	.forEach(([network, prefix]) => PRIVATE_NETWORKS.addSubnet(network, prefix, "ipv4"));
+[["::", 128], ["::1", 128], ["fc00::", 7], ["fe80::", 10], ["ff00::", 8]]
+	.forEach(([network, prefix]) => PRIVATE_NETWORKS.addSubnet(network, prefix, "ipv6"));
+const PRIVATE_LINK_ERROR = "Links to the mirror itself or the local network can't be shown";
 
 /**
- * Parse YouTube video ID from URL or return direct ID
- * Enhanced with better validation and error handling
- * @param input
+ * Interpret form/query style booleans ("1", "true", "on") as well as real booleans
+ * @param value
  */
-function parseYouTubeId (input) {
-	if (!input || typeof input !== "string") return null;
-
-	const sanitized = input.trim();
-
-	// Enhanced regex for YouTube URLs including more formats
-	const patterns = [
-		/(?:youtube\.com\/watch\?v=)([a-zA-Z0-9_-]{11})/i,
-		/(?:youtube\.com\/embed\/)([a-zA-Z0-9_-]{11})/i,
-		/(?:youtube\.com\/v\/)([a-zA-Z0-9_-]{11})/i,
-		/(?:youtube\.com\/shorts\/)([a-zA-Z0-9_-]{11})/i,
-		/(?:youtu\.be\/)([a-zA-Z0-9_-]{11})/i,
-		/^([a-zA-Z0-9_-]{11})$/i // Direct video ID
-	];
-
-	for (const pattern of patterns) {
-		const match = sanitized.match(pattern);
-		if (match && match[1]) {
-			// Additional validation: ensure it's exactly 11 characters
-			const videoId = match[1];
-			if (videoId.length === 11 && (/^[a-zA-Z0-9_-]+$/).test(videoId)) {
-				return videoId;
-			}
+function parseBoolean (value) {
+	if (typeof value === "boolean") return value;
+	if (typeof value === "number") return value !== 0;
+	if (typeof value !== "string") return false;
+	return ["1", "true", "on", "yes"].includes(value.trim().toLowerCase());
+}
+
+/**
+ * Parse a Cookie header into a plain object
+ * @param header
+ */
+function parseCookies (header) {
+	const cookies = {};
+	if (!header) return cookies;
+
+	for (const part of header.split(";")) {
+		const index = part.indexOf("=");
+		if (index === -1) continue;
+		const name = part.slice(0, index).trim();
+		try {
+			cookies[name] = decodeURIComponent(part.slice(index + 1).trim());
+		} catch {
+			cookies[name] = part.slice(index + 1).trim();
 		}
 	}
 
-	return null;
+	return cookies;
+}
+
+/**
+ * Hash a device token; only hashes are written to disk
+ * @param token
+ */
+function hashToken (token) {
+	return crypto.createHash("sha256").update(String(token)).digest("hex");
+}
+
+/**
+ * Whether a request comes from the mirror itself
+ * @param address
+ */
+function isLoopback (address) {
+	return !address || address === "::1" || address.startsWith("127.") || address.startsWith("::ffff:127.");
+}
+
+/**
+ * Whether an IP address is on this machine or the local network (IPv4-mapped IPv6 included)
+ * @param {string} address - IP address
+ */
+function isPrivateAddress (address) {
+	const type = net.isIP(address) === 6 ? "ipv6" : "ipv4";
+	return PRIVATE_NETWORKS.check(address, type);
+}
+
+/**
+ * Whether a host name points at this machine or the local network without resolving it
+ * (localhost, mDNS .local names and private IP literals)
+ * @param {string} hostname - URL#hostname
+ */
+function isPrivateHost (hostname) {
+	const host = hostname.replace(/^\[|\]$/g, "").replace(/\.$/, "").toLowerCase();
+	if (host === "localhost" || host.endsWith(".localhost") || host.endsWith(".local")) return true;
+	return net.isIP(host) ? isPrivateAddress(host) : false;
+}
+
+/**
+ * dns.lookup() for outgoing requests that must stay on the public internet;
+ * checked when the connection is made, so a name can't switch to a local address after a first check
+ * @param {string} hostname - Host to resolve
+ * @param {object} options - dns.lookup() options (`all` is set when the connection races address families)
+ * @param {Function} callback - (error, address, family) or (error, addresses)
+ */
+function lookupPublic (hostname, options, callback) {
+	dns.lookup(hostname, options, (error, address, family) => {
+		if (error) return callback(error);
+		const addresses = Array.isArray(address) ? address : [{ address, family }];
+		if (addresses.some((entry) => isPrivateAddress(entry.address))) return callback(new Error(PRIVATE_LINK_ERROR));
+		callback(null, address, family);
+	});
 }
 
 /**
@@ -89,15 +169,298 @@ function createRateLimit (windowMs = 60000, max = 100) {
 	};
 }
 
+/**
+ * Decode the HTML entities that show up in page titles and meta tags
+ * @param text
+ */
+function decodeHtmlEntities (text) {
+	const named = { amp: "&", lt: "<", gt: ">", quot: "\"", apos: "'", nbsp: " " };
+	return String(text).replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (entity, code) => {
+		if (code[0] !== "#") return named[code.toLowerCase()] ?? entity;
+		const point = code[1].toLowerCase() === "x" ? parseInt(code.slice(2), 16) : parseInt(code.slice(1), 10);
+		return point > 0 && point <= 0x10ffff ? String.fromCodePoint(point) : entity;
+	});
+}
+
+/**
+ * Read the preview of a web page from its Open Graph / Twitter card tags, falling back to <title>
+ * @param {string} html - Page source
+ * @param {string} pageUrl - Final page address, to resolve relative image links
+ * @returns {{title: string|null, description: string|null, image: string|null, siteName: string|null}} Preview fields
+ */
+function parseOpenGraph (html, pageUrl) {
+	const meta = {};
+	for (const [tag] of html.matchAll(/<meta\s[^>]*>/gi)) {
+		const attributes = {};
+		for (const [, name, , double, single, bare] of tag.matchAll(/([\w:-]+)\s*=\s*("([^"]*)"|'([^']*)'|([^\s"'>]+))/g)) {
+			attributes[name.toLowerCase()] = double ?? single ?? bare;
+		}
+		const key = (attributes.property || attributes.name || attributes.itemprop || "").toLowerCase();
+		// The first tag wins, like in link previews elsewhere
+		if (key && attributes.content && !(key in meta)) meta[key] = decodeHtmlEntities(attributes.content).trim();
+	}
+
+	const titleTag = html.match(/<title[^>]*>([^<]*)<\/title>/i);
+	const pick = (...keys) => keys.map((key) => meta[key]).find(Boolean) || null;
+
+	let image = pick("og:image", "og:image:url", "og:image:secure_url", "twitter:image", "twitter:image:src");
+	try {
+		image = image ? new URL(image, pageUrl).href : null;
+		if (image && !(/^https?:/i).test(image)) image = null;
+	} catch {
+		image = null;
+	}
+
+	const clip = (text, max) => (text && text.length > max ? `${text.slice(0, max - 1)}…` : text);
+	return {
+		title: clip(pick("og:title", "twitter:title") || (titleTag ? decodeHtmlEntities(titleTag[1]).trim() : null), 200),
+		description: clip(pick("og:description", "twitter:description", "description"), 300),
+		image,
+		siteName: clip(pick("og:site_name", "application-name"), 80)
+	};
+}
+
+/**
+ * Whether a site lets other pages show it in a frame (X-Frame-Options / CSP frame-ancestors)
+ * @param {object} headers - Response headers of the page
+ */
+function allowsFraming (headers) {
+	if (headers["x-frame-options"]) return false;
+
+	const policies = [].concat(headers["content-security-policy"] || []);
+	for (const policy of policies) {
+		const directive = policy.split(";").map((part) => part.trim().toLowerCase())
+			.find((part) => part.startsWith("frame-ancestors"));
+		// The mirror is neither 'self' nor a listed host, so only a wildcard lets it in
+		if (directive && !directive.split(/\s+/).slice(1).includes("*")) return false;
+	}
+	return true;
+}
+
+/**
+ * Parse one field of a cron expression: "*", "5", "1-5", "1-10/2", a step over the whole range or a comma list of those
+ * @param {string} field - Field text
+ * @param {number} min - Lowest allowed value
+ * @param {number} max - Highest allowed value
+ * @param {string[]} names - Names accepted instead of numbers, indexed from min (e.g. sun..sat)
+ * @returns {Set<number>|null} Matching values (null when every value matches), or undefined when invalid
+ */
+function parseCronField (field, min, max, names = []) {
+	if (field === "*") return null;
+
+	const values = new Set();
+	const value = (text) => {
+		const named = names.indexOf(text.toLowerCase());
+		return named === -1 ? (/^\d+$/.test(text) ? Number(text) : NaN) : named + min;
+	};
+
+	for (const part of field.split(",")) {
+		const [range, step = "1"] = part.split("/");
+		const [from, to] = range === "*" ? [min, max] : range.split("-").map(value);
+		const last = to ?? (part.includes("/") ? max : from);
+		const every = Number(step);
+
+		if (![from, last].every((n) => Number.isInteger(n) && n >= min && n <= max) || from > last
+			|| !Number.isInteger(every) || every < 1) return undefined;
+		for (let n = from; n <= last; n += every) values.add(n);
+	}
+	return values;
+}
+
+/**
+ * Turn a schedule rule into the sets of minutes, hours, days, months and weekdays it fires on
+ * Rules use either a cron expression or a time with optional weekdays, months or a single date.
+ * @param {{cron?: string|null, time?: string|null, days?: string[], months?: number[], date?: string|null}} rule - Schedule rule
+ * @returns {object|null} Compiled rule, null when the rule is invalid
+ */
+function compileSchedule (rule) {
+	if (rule.cron) {
+		const fields = String(rule.cron).trim().split(/\s+/);
+		if (fields.length !== 5) return null;
+
+		const [minutes, hours, days, months, weekdays] = [
+			parseCronField(fields[0], 0, 59),
+			parseCronField(fields[1], 0, 23),
+			parseCronField(fields[2], 1, 31),
+			parseCronField(fields[3], 1, 12, ["jan", "feb", "mar", "apr", "may", "jun", "jul", "aug", "sep", "oct", "nov", "dec"]),
+			parseCronField(fields[4], 0, 7, [...WEEKDAYS, "sun"])
+		];
+		if ([minutes, hours, days, months, weekdays].includes(undefined)) return null;
+		// Cron allows 7 for Sunday too
+		if (weekdays?.delete(7)) weekdays.add(0);
+
+		return { minutes, hours, days, months, weekdays, date: null };
+	}
+
+	const time = String(rule.time || "").match(/^([01]?\d|2[0-3]):([0-5]\d)$/);
+	if (!time) return null;
+
+	return {
+		minutes: new Set([Number(time[2])]),
+		hours: new Set([Number(time[1])]),
+		days: null,
+		months: rule.months?.length ? new Set(rule.months) : null,
+		weekdays: rule.days?.length ? new Set(rule.days.map((day) => WEEKDAYS.indexOf(day))) : null,
+		date: rule.date || null
+	};
+}
+
+/**
+ * Whether a compiled schedule fires on a given calendar day (local time)
+ * @param {object} compiled - See compileSchedule
+ * @param {Date} day - Any time on that day
+ */
+function scheduleMatchesDay (compiled, day) {
+	const { days, months, weekdays, date } = compiled;
+	const ymd = `${day.getFullYear()}-${String(day.getMonth() + 1).padStart(2, "0")}-${String(day.getDate()).padStart(2, "0")}`;
+
+	if (date && ymd !== date) return false;
+	if (months && !months.has(day.getMonth() + 1)) return false;
+	// Like cron: when both day of month and weekday are restricted, either one matches
+	if (days && weekdays) return days.has(day.getDate()) || weekdays.has(day.getDay());
+	if (days) return days.has(day.getDate());
+	if (weekdays) return weekdays.has(day.getDay());
+	return true;
+}
+
+/**
+ * Next time a compiled schedule fires, looking at most 8 years ahead (of its date, for one-off rules)
+ * February 29th comes round every 4 years, or 8 when a century year such as 2100 skips the leap day.
+ * @param {object} compiled - See compileSchedule
+ * @param {Date} from - Start looking after this minute
+ * @returns {Date|null} Next run, null when there is none within 8 years
+ */
+function nextScheduleRun (compiled, from = new Date()) {
+	const sorted = (set, max) => (set ? [...set].sort((a, b) => a - b) : Array.from({ length: max + 1 }, (_, n) => n));
+	const hours = sorted(compiled.hours, 23);
+	const minutes = sorted(compiled.minutes, 59);
+
+	// One-off rules can be further away than the year searched; start at their date
+	const [year, month, date] = (compiled.date || "").split("-").map(Number);
+	const start = compiled.date && new Date(year, month - 1, date) > from ? new Date(year, month - 1, date) : from;
+
+	for (let offset = 0; offset <= 8 * 366; offset++) {
+		const day = new Date(start.getFullYear(), start.getMonth(), start.getDate() + offset);
+		if (!scheduleMatchesDay(compiled, day)) continue;
+
+		for (const hour of hours) {
+			for (const minute of minutes) {
+				const run = new Date(day.getFullYear(), day.getMonth(), day.getDate(), hour, minute);
+				if (run > from) return run;
+			}
+		}
+	}
+	return null;
+}
+
+/**
+ * Minutes after midnight for a clock time
+ * @param {string} text - "HH:MM" (24-hour)
+ * @returns {number|null} null when the text is not a valid time
+ */
+function parseClock (text) {
+	const time = String(text ?? "").match(/^([01]?\d|2[0-3]):([0-5]\d)$/);
+	return time ? Number(time[1]) * 60 + Number(time[2]) : null;
+}
+
+/**
+ * @param {number} minutes - Minutes after midnight
+ * @returns {string} "HH:MM"
+ */
+function formatClock (minutes) {
+	return `${String(Math.floor(minutes / 60)).padStart(2, "0")}:${String(minutes % 60).padStart(2, "0")}`;
+}
+
+/**
+ * When a quiet hours window in effect ends
+ * Windows may run past midnight (22:00-07:00) and `days` are the days they start on; equal from and to cover a whole day.
+ * @param {{from: string, to: string, days: string[]}} window - Window from validateConfig
+ * @param {Date} now - Time to check
+ * @returns {Date|null} End of the window, or null when it is not in effect
+ */
+function quietWindowEnd (window, now = new Date()) {
+	const from = parseClock(window.from);
+	const to = parseClock(window.to);
+	const minute = now.getHours() * 60 + now.getMinutes();
+	const startsOn = (offset) => !window.days.length || window.days.includes(WEEKDAYS[(now.getDay() + 7 + offset) % 7]);
+	const at = (offset, minutes) => new Date(now.getFullYear(), now.getMonth(), now.getDate() + offset, 0, minutes);
+
+	if (from < to) return startsOn(0) && minute >= from && minute < to ? at(0, to) : null;
+	// Past midnight: started today, or started yesterday and not over yet
+	if (minute >= from && startsOn(0)) return at(1, to);
+	if (minute < to && startsOn(-1)) return at(0, to);
+	return null;
+}
+
+/**
+ * Whether a content filter entry names a video's channel
+ * Entries are the channel's name, its address, or the last part of the address (@handle or channel ID), in any case.
+ * @param {string} entry - Entry from allowChannels/denyChannels
+ * @param {{channel: string, channelUrl?: string|null}} info - Video info from fetchMediaInfo
+ */
+function matchesChannel (entry, info) {
+	const wanted = entry.toLowerCase();
+	const url = String(info.channelUrl || "").toLowerCase().replace(/\/+$/, "");
+	return [info.channel, url, url.split("/").pop()].some((value) => value && String(value).toLowerCase() === wanted);
+}
+
+/**
+ * Find a blocked keyword in a video's title or tags (whole words, any case)
+ * @param {string[]} keywords - Entries from blockKeywords
+ * @param {{title: string, tags?: string[]}} info - Video info from fetchMediaInfo
+ * @returns {string|undefined} The first keyword found
+ */
+function findBlockedKeyword (keywords, info) {
+	const text = [info.title, ...(info.tags || [])].join("\n");
+	return keywords.find((keyword) => {
+		const escaped = keyword.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+		return new RegExp(`(?:^|[^\\p{L}\\p{N}])${escaped}(?:$|[^\\p{L}\\p{N}])`, "iu").test(text);
+	});
+}
+
 module.exports = NodeHelper.create({
 	start () {
 		console.log("[MMM-ShareToMirror] Node helper starting...");
 		this.config = null;
 		this.server = null;
+		this.eventClients = new Set();
+		this.providers = [];
+		this.dataPath = path.join(__dirname, "data");
+		this.devices = [];
+		this.pairing = null;
+		this.connection = { firstConnectedAt: null };
+		this.history = [];
+		this.favorites = [];
+		this.historyEntry = null;
+		this.historySavedAt = 0;
+		this.photos = [];
+		this.photoDir = path.join(os.tmpdir(), "MMM-ShareToMirror-photos");
+		this.photoTimer = null;
+		this.notes = [];
+		this.noteTimer = null;
+		this.link = null;
+		this.linkRequest = null;
+		this.linkTimer = null;
+		this.schedule = [];
+		this.scheduleTimer = null;
+		this.heldVideos = [];
+		this.quietTimer = null;
+		this.sleepTimer = null;
+		this.filters = {};
 		this.state = {
 			playing: false,
+			paused: false,
+			overlay: "windowed",
 			lastUrl: null,
+			lastProvider: null,
 			lastVideoId: null,
+			lastPlaylistId: null,
+			playlist: null,
+			player: null,
+			queue: [],
+			photo: null,
+			link: null,
+			sleep: null,
 			caption: { enabled: false, lang: "en" },
 			quality: { target: "auto", floor: null, ceiling: null, lock: false }
 		};
@@ -123,7 +486,35 @@ module.exports = NodeHelper.create({
 				break;
 			case "STM_EMBEDDED_STOPPED":
 				this.state.playing = false;
+				this.state.paused = false;
+				this.state.overlay = "windowed";
+				this.state.playlist = null;
+				this.state.player = null;
+				this.clearSleepTimer();
+				this.finishHistoryEntry();
 				console.log(`[MMM-ShareToMirror] Playback stopped: ${payload?.reason || "unknown"}`);
+				this.broadcastEvent("stop", { reason: payload?.reason || "unknown" });
+				break;
+			case "STM_EMBEDDED_ENDED":
+				this.handleVideoEnded();
+				break;
+			case "STM_PLAYLIST_STATE":
+				this.updatePlaylistState(payload);
+				break;
+			case "STM_PLAYER_STATUS":
+				this.updatePlayerStatus(payload);
+				break;
+			case "STM_PHOTO_CLOSED":
+				this.dismissPhotos(payload?.reason || "closed");
+				break;
+			case "STM_LINK_CLOSED":
+				this.dismissLink(payload?.reason || "closed");
+				break;
+			case "STM_COMMAND":
+				this.handleCommand(payload);
+				break;
+			case "STM_QR_REQUEST":
+				this.showQrCode(Number.isInteger(payload?.duration) ? payload.duration : this.config.qrCode.duration);
 				break;
 		}
 	},
@@ -135,7 +526,30 @@ module.exports = NodeHelper.create({
 		if (config.caption) Object.assign(this.state.caption, config.caption);
 		if (config.quality) Object.assign(this.state.quality, config.quality);
 
+		this.providers = loadProviders(this.config.providers);
+
+		if (this.config.dataPath) this.dataPath = path.resolve(this.config.dataPath);
+		this.devices = this.readData("devices", []);
+		this.connection = this.readData("connection", this.connection);
+		if (this.config.history.enabled) this.history = this.readData("history", []);
+		this.favorites = this.readData("favorites", []);
+
+		// Photos only live until dismissed; drop whatever a previous run left behind
+		fs.rmSync(this.photoDir, { recursive: true, force: true });
+
+		// Notes survive restarts until they expire
+		this.notes = this.readData("notes", []);
+		this.expireNotes();
+		this.sendSocketNotification("STM_NOTES", { notes: this.notes });
+
+		this.loadContentFilter();
+		this.loadSchedule();
 		this.startServer();
+
+		// Help the first phone find the mirror
+		if (this.config.qrCode.autoShow && !this.hasConnectedDevice()) {
+			this.showQrCode(0);
+		}
 	},
 
 	validateConfig (config) {
@@ -143,11 +557,165 @@ module.exports = NodeHelper.create({
 			port: 8570,
 			https: { enabled: false, keyPath: "", certPath: "" },
 			caption: { enabled: false, lang: "en" },
-			quality: { target: "auto", floor: null, ceiling: null, lock: false }
+			quality: { target: "auto", floor: null, ceiling: null, lock: false },
+			auth: { enabled: false, pinTimeout: 120, admins: [] },
+			qrCode: { autoShow: true, duration: 60, url: null },
+			volume: { default: 100, max: 100 },
+			playbackRate: 1,
+			history: { enabled: true, limit: 200 },
+			photos: { duration: 60, fit: "contain", maxFiles: 20, maxSize: 20 },
+			notes: { duration: 14400, maxLength: 500, limit: 10 },
+			links: { duration: 120, pages: true },
+			schedule: [],
+			quietHours: [],
+			contentFilter: { kidsMode: false, allowChannels: [], denyChannels: [], allowVideos: [], denyVideos: [], blockKeywords: [] },
+			providers: ["youtube", "vimeo", "file"],
+			mirrors: []
 		};
 
 		if (!config || typeof config !== "object") return defaults;
 
+		// Validate QR code
+		config.qrCode = { ...defaults.qrCode, ...config.qrCode };
+		if (!Number.isInteger(config.qrCode.duration) || config.qrCode.duration < 0) {
+			console.warn("[MMM-ShareToMirror] Invalid qrCode.duration, using default 60");
+			config.qrCode.duration = defaults.qrCode.duration;
+		}
+
+		// Validate volume
+		config.volume = { ...defaults.volume, ...config.volume };
+		const isLevel = (value) => Number.isInteger(value) && value >= 0 && value <= 100;
+		if (!isLevel(config.volume.max)) {
+			console.warn("[MMM-ShareToMirror] Invalid volume.max, using 100");
+			config.volume.max = defaults.volume.max;
+		}
+		if (!isLevel(config.volume.default)) {
+			console.warn("[MMM-ShareToMirror] Invalid volume.default, using 100");
+			config.volume.default = defaults.volume.default;
+		}
+		config.volume.default = Math.min(config.volume.default, config.volume.max);
+
+		// Validate playback rate
+		if (config.playbackRate === undefined) config.playbackRate = defaults.playbackRate;
+		if (!PLAYBACK_RATES.includes(config.playbackRate)) {
+			console.warn("[MMM-ShareToMirror] Invalid playbackRate, using 1");
+			config.playbackRate = defaults.playbackRate;
+		}
+
+		// Validate providers
+		if (!Array.isArray(config.providers) || config.providers.length === 0
+			|| config.providers.some((name) => typeof name !== "string")) {
+			if (config.providers !== undefined) console.warn("[MMM-ShareToMirror] Invalid providers, using the defaults");
+			config.providers = defaults.providers;
+		}
+
+		// Other mirrors the PWA may reach, kept as origins for the Content-Security-Policy
+		if (!Array.isArray(config.mirrors)) {
+			if (config.mirrors !== undefined) console.warn("[MMM-ShareToMirror] Invalid mirrors, expected an array of addresses");
+			config.mirrors = defaults.mirrors;
+		}
+		config.mirrors = config.mirrors.flatMap((address, index) => {
+			let url = null;
+			try {
+				url = new URL(String(address));
+			} catch {
+				// reported below
+			}
+			if (url && ["http:", "https:"].includes(url.protocol)) return [url.origin];
+			console.warn(`[MMM-ShareToMirror] Ignoring mirror ${index + 1}, expected an address such as "http://192.168.1.21:8570"`);
+			return [];
+		});
+
+		// Validate history
+		config.history = { ...defaults.history, ...config.history };
+		if (!Number.isInteger(config.history.limit) || config.history.limit < 1) {
+			console.warn("[MMM-ShareToMirror] Invalid history.limit, using default 200");
+			config.history.limit = defaults.history.limit;
+		}
+
+		// Validate photos
+		config.photos = { ...defaults.photos, ...config.photos };
+		if (!Number.isInteger(config.photos.duration) || config.photos.duration < 0) {
+			console.warn("[MMM-ShareToMirror] Invalid photos.duration, using default 60");
+			config.photos.duration = defaults.photos.duration;
+		}
+		if (!PHOTO_FITS.includes(config.photos.fit)) {
+			console.warn("[MMM-ShareToMirror] Invalid photos.fit, using contain");
+			config.photos.fit = defaults.photos.fit;
+		}
+		for (const key of ["maxFiles", "maxSize"]) {
+			if (!Number.isInteger(config.photos[key]) || config.photos[key] < 1) {
+				console.warn(`[MMM-ShareToMirror] Invalid photos.${key}, using default ${defaults.photos[key]}`);
+				config.photos[key] = defaults.photos[key];
+			}
+		}
+
+		// Validate notes
+		config.notes = { ...defaults.notes, ...config.notes };
+		for (const key of ["duration", "maxLength", "limit"]) {
+			const min = key === "duration" ? 0 : 1;
+			if (!Number.isInteger(config.notes[key]) || config.notes[key] < min) {
+				console.warn(`[MMM-ShareToMirror] Invalid notes.${key}, using default ${defaults.notes[key]}`);
+				config.notes[key] = defaults.notes[key];
+			}
+		}
+
+		// Validate links
+		config.links = { ...defaults.links, ...config.links };
+		if (!Number.isInteger(config.links.duration) || config.links.duration < 0) {
+			console.warn("[MMM-ShareToMirror] Invalid links.duration, using default 120");
+			config.links.duration = defaults.links.duration;
+		}
+		config.links.pages = config.links.pages !== false;
+
+		// Schedule rules are checked one by one once the providers are loaded (see loadSchedule)
+		if (!Array.isArray(config.schedule)) {
+			if (config.schedule !== undefined) console.warn("[MMM-ShareToMirror] Invalid schedule, expected an array of rules");
+			config.schedule = defaults.schedule;
+		}
+
+		// Quiet hours: broken windows are dropped rather than guessed at
+		if (!Array.isArray(config.quietHours)) {
+			if (config.quietHours !== undefined) console.warn("[MMM-ShareToMirror] Invalid quietHours, expected an array of windows");
+			config.quietHours = defaults.quietHours;
+		}
+		config.quietHours = config.quietHours.filter((window, index) => {
+			const valid = Boolean(window) && parseClock(window.from) !== null && parseClock(window.to) !== null
+				&& (window.days === undefined || (Array.isArray(window.days) && window.days.every((day) => WEEKDAYS.includes(String(day).toLowerCase()))))
+				&& (window.action === undefined || QUIET_ACTIONS.includes(window.action));
+			if (!valid) console.warn(`[MMM-ShareToMirror] Ignoring quiet hours window ${index + 1}, expected { from: "HH:MM", to: "HH:MM", days, action: ${QUIET_ACTIONS.join("|")} }`);
+			return valid;
+		}).map((window) => ({
+			from: formatClock(parseClock(window.from)),
+			to: formatClock(parseClock(window.to)),
+			days: (window.days || []).map((day) => String(day).toLowerCase()),
+			action: window.action || "refuse",
+			muted: window.muted !== false,
+			windowed: window.windowed !== false
+		}));
+
+		// Validate pairing/auth
+		config.auth = { ...defaults.auth, ...config.auth };
+		if (!Number.isInteger(config.auth.pinTimeout) || config.auth.pinTimeout < 30) {
+			console.warn("[MMM-ShareToMirror] Invalid auth.pinTimeout, using default 120");
+			config.auth.pinTimeout = defaults.auth.pinTimeout;
+		}
+		if (!Array.isArray(config.auth.admins) || config.auth.admins.some((id) => typeof id !== "string")) {
+			console.warn("[MMM-ShareToMirror] Invalid auth.admins, expected an array of device IDs");
+			config.auth.admins = defaults.auth.admins;
+		}
+
+		// Content filter lists are cleaned up once the providers are loaded (see loadContentFilter)
+		config.contentFilter = { ...defaults.contentFilter, ...config.contentFilter };
+		config.contentFilter.kidsMode = config.contentFilter.kidsMode === true;
+		FILTER_LISTS.forEach((key) => {
+			const list = config.contentFilter[key];
+			if (!Array.isArray(list) || list.some((entry) => typeof entry !== "string")) {
+				console.warn(`[MMM-ShareToMirror] Invalid contentFilter.${key}, expected an array of strings`);
+				config.contentFilter[key] = [];
+			}
+		});
+
 		// Validate port
 		if (!Number.isInteger(config.port) || config.port < 1 || config.port > 65535) {
 			console.warn("[MMM-ShareToMirror] Invalid port, using default 8570");
@@ -186,6 +754,7 @@ module.exports = NodeHelper.create({
 
 	createApp () {
 		const app = express();
+		const contentSecurityPolicy = this.buildContentSecurityPolicy();
 
 		// Security and CORS middleware
 		app.use((req, res, next) => {
@@ -193,18 +762,12 @@ module.exports = NodeHelper.create({
 			res.setHeader("X-Frame-Options", "DENY");
 			res.setHeader("X-XSS-Protection", "1; mode=block");
 			res.setHeader("Referrer-Policy", "strict-origin-when-cross-origin");
-			res.setHeader("Content-Security-Policy",
-				"default-src 'self'; "
-				+ "script-src 'self' 'unsafe-inline' https://www.youtube.com; "
-				+ "frame-src https://www.youtube.com; "
-				+ "img-src 'self' data: https:; "
-				+ "style-src 'self' 'unsafe-inline'; "
-				+ "connect-src 'self'");
+			res.setHeader("Content-Security-Policy", contentSecurityPolicy);
 
 			if (req.path.startsWith("/api/")) {
 				res.setHeader("Access-Control-Allow-Origin", "*");
 				res.setHeader("Access-Control-Allow-Methods", "GET, POST, OPTIONS");
-				res.setHeader("Access-Control-Allow-Headers", "Content-Type");
+				res.setHeader("Access-Control-Allow-Headers", "Content-Type, Authorization, X-STM-Token");
 			}
 			next();
 		});
@@ -220,6 +783,15 @@ module.exports = NodeHelper.create({
 			maxAge: "1d"
 		}));
 
+		// Remember the first phone that reaches us (hides the welcome QR code)
+		app.use((req, res, next) => {
+			if (!this.connection.firstConnectedAt && !isLoopback(req.ip)) this.markConnected();
+			next();
+		});
+
+		// Device tokens (only when pairing is enabled)
+		app.use(this.createAuthMiddleware());
+
 		// Routes
 		this.setupRoutes(app);
 
@@ -233,6 +805,9 @@ module.exports = NodeHelper.create({
 			if (error.type === "entity.parse.failed") {
 				return res.status(400).json({ ok: false, error: "Invalid JSON" });
 			}
+			if (error instanceof multer.MulterError) {
+				return res.status(error.code === "LIMIT_FILE_SIZE" ? 413 : 400).json({ ok: false, error: error.message });
+			}
 
 			res.status(500).json({ ok: false, error: "Internal server error" });
 		});
@@ -240,78 +815,543 @@ module.exports = NodeHelper.create({
 		return app;
 	},
 
+	/**
+	 * Content-Security-Policy for the PWA, allowing the script and frame hosts of the enabled providers
+	 * @returns {string} Header value
+	 */
+	buildContentSecurityPolicy () {
+		const directives = {
+			"default-src": ["'self'"],
+			"script-src": ["'self'", "'unsafe-inline'"],
+			"frame-src": [],
+			// The PWA can drive the mirrors listed in `mirrors` (their API and shared photos), usually over plain http
+			"img-src": ["'self'", "data:", "https:", ...this.config.mirrors],
+			"style-src": ["'self'", "'unsafe-inline'"],
+			"connect-src": ["'self'", ...this.config.mirrors]
+		};
+
+		for (const provider of this.providers) {
+			for (const [directive, sources] of Object.entries(provider.csp || {})) {
+				directives[directive] = [...new Set([...(directives[directive] || []), ...sources])];
+			}
+		}
+
+		return Object.entries(directives)
+			.map(([directive, sources]) => `${directive} ${sources.length ? sources.join(" ") : "'none'"}`)
+			.join("; ");
+	},
+
+	/**
+	 * Require a paired device token on the API when `auth.enabled` is set
+	 * (the share target checks separately, once multer has parsed its form)
+	 */
+	createAuthMiddleware () {
+		const openPaths = ["/api/health", "/api/pair", "/api/pair/start"];
+
+		return (req, res, next) => {
+			if (!req.path.startsWith("/api/") || openPaths.includes(req.path)) return next();
+			if (req.method === "OPTIONS" || this.authorize(req)) return next();
+
+			res.status(401).json({ ok: false, error: "Pairing required", pairing: true });
+		};
+	},
+
+	/**
+	 * Check a request's device token, attaching the device to `req.device`
+	 * Token is read from `Authorization: Bearer`, `X-STM-Token`, the `stm_token` cookie or `?token=`
+	 * @param {object} req - Express request
+	 * @param {{cookie?: boolean}} [options] - cookie: false ignores the stm_token cookie
+	 * @returns {boolean} True when auth is disabled or the token belongs to a paired device
+	 */
+	authorize (req, { cookie = true } = {}) {
+		if (!this.config.auth?.enabled) return true;
+
+		req.device = this.findDevice(this.getRequestToken(req, { cookie }));
+		return Boolean(req.device);
+	},
+
+	/**
+	 * Extract the device token from a request
+	 * @param {object} req - Express request
+	 * @param {{cookie?: boolean}} [options] - cookie: false ignores the stm_token cookie
+	 * @returns {string|null} Token, if any was sent
+	 */
+	getRequestToken (req, { cookie = true } = {}) {
+		const header = req.headers.authorization || "";
+		if (header.startsWith("Bearer ")) return header.slice(7).trim();
+
+		return req.headers["x-stm-token"]
+			|| (cookie && parseCookies(req.headers.cookie).stm_token)
+			|| (typeof req.query?.token === "string" ? req.query.token : null);
+	},
+
+	/**
+	 * Look up the paired device owning a token and refresh its last-seen time
+	 * @param {string} token - Device token
+	 * @returns {object|null} Device record
+	 */
+	findDevice (token) {
+		if (!token) return null;
+
+		const hash = hashToken(token);
+		const device = this.devices.find((entry) => entry.tokenHash === hash);
+		if (!device) return null;
+
+		// Persist last-seen at most hourly to spare the SD card
+		const now = Date.now();
+		const persisted = Date.parse(device.lastSeen) || 0;
+		device.lastSeen = new Date(now).toISOString();
+		if (now - persisted > 3600000) this.writeData("devices", this.devices);
+
+		return device;
+	},
+
+	/**
+	 * Generate a new pairing PIN and show it on the mirror
+	 * @returns {number} Seconds until the PIN expires
+	 */
+	startPairing () {
+		const timeout = this.config.auth.pinTimeout;
+		const pin = String(crypto.randomInt(0, 1000000)).padStart(6, "0");
+
+		clearTimeout(this.pairing?.timer);
+		this.pairing = {
+			pin,
+			attempts: 0,
+			expiresAt: Date.now() + timeout * 1000,
+			timer: setTimeout(() => this.endPairing(), timeout * 1000)
+		};
+
+		this.sendSocketNotification("STM_SHOW_PIN", { pin, expiresIn: timeout });
+		console.log("[MMM-ShareToMirror] Pairing PIN displayed on mirror");
+		return timeout;
+	},
+
+	endPairing () {
+		if (!this.pairing) return;
+		clearTimeout(this.pairing.timer);
+		this.pairing = null;
+		this.sendSocketNotification("STM_HIDE_PIN", {});
+	},
+
+	/**
+	 * Exchange the displayed PIN for a long-lived device token
+	 * @param {string} pin - PIN typed on the phone
+	 * @param {string} name - Friendly device name
+	 * @returns {{device: object, token: string}|{error: string}} New device or the reason pairing failed
+	 */
+	completePairing (pin, name) {
+		if (!this.pairing || Date.now() > this.pairing.expiresAt) {
+			this.endPairing();
+			return { error: "No active pairing PIN, request a new one" };
+		}
+
+		if (String(pin || "").trim() !== this.pairing.pin) {
+			// A handful of guesses per PIN keeps brute force out of reach
+			if (++this.pairing.attempts >= 5) this.endPairing();
+			return { error: "Incorrect PIN" };
+		}
+
+		this.endPairing();
+
+		const token = crypto.randomBytes(32).toString("base64url");
+		const now = new Date().toISOString();
+		const device = {
+			id: crypto.randomUUID(),
+			name: String(name || "").trim().slice(0, 60) || "Unnamed device",
+			tokenHash: hashToken(token),
+			createdAt: now,
+			lastSeen: now
+		};
+
+		this.devices.push(device);
+		this.writeData("devices", this.devices);
+		console.log(`[MMM-ShareToMirror] Paired new device: ${device.name} (${device.id})`);
+		this.markConnected();
+
+		return { device, token };
+	},
+
+	/**
+	 * Who sent a video, for the history
+	 * @param {object} req - Express request (after authorize(), so req.device is set when paired)
+	 * @param {string} via - Entry point: share, api, queue or history
+	 * @returns {{via: string, device: string|null, address: string|null}} Source description
+	 */
+	describeSource (req, via) {
+		return { via, device: req.device?.name || null, address: req.ip || null };
+	},
+
+	/**
+	 * Public view of a device record (never exposes the token hash)
+	 * @param {object} device - Device record
+	 */
+	describeDevice (device) {
+		const { id, name, createdAt, lastSeen } = device;
+		return { id, name, createdAt, lastSeen, admin: this.config.auth.admins.includes(id) };
+	},
+
+	/**
+	 * Whether a request comes from a device listed in auth.admins
+	 * @param {object} req - Express request (after authorize())
+	 */
+	isAdmin (req) {
+		return Boolean(this.config.auth.enabled && req.device && this.config.auth.admins.includes(req.device.id));
+	},
+
 	setupRoutes (app) {
-		const upload = multer({ limits: { fileSize: 1024 * 1024, fields: 10 } });
+		// Photos are written straight to the temporary photo directory; other file types are skipped
+		const photoUpload = multer({
+			dest: this.photoDir,
+			limits: { fileSize: this.config.photos.maxSize * 1024 * 1024, files: this.config.photos.maxFiles, fields: 10 },
+			fileFilter: (req, file, cb) => cb(null, PHOTO_TYPES.includes(file.mimetype))
+		});
 
 		// Share target - support both GET and POST
-		const handleShareTarget = (req, res) => {
-			const url = req.body?.url || req.body?.text || req.body?.title || 
-			           req.query?.url || req.query?.text || req.query?.title;
-			const videoId = parseYouTubeId(url);
+		const handleShareTarget = async (req, res) => {
+			// Repeated fields (?url=a&url=b) arrive as arrays and url[x]= as objects: only the first plain string counts
+			const url = [req.body, req.query]
+				.flatMap((params) => ["url", "text", "title"].map((key) => params?.[key]))
+				.map((value) => (Array.isArray(value) ? value[0] : value))
+				.find((value) => typeof value === "string" && value) || "";
+			const files = req.files || [];
+
+			const bareLink = Boolean(url) && (/^\s*https?:\/\/\S+\s*$/i).test(url);
+			// Only shared text with a link in it is a video: a one-word note such as "Dinner_time" looks like a bare YouTube ID
+			const hasLink = Boolean(url) && (/https?:\/\/|(?:^|\s)(?:www\.)?[\w-]+(?:\.[\w-]+)+\/\S/i).test(url);
+			const media = hasLink ? this.parseMediaUrl(url) : null;
+			const sharedKind = () => (media ? "url" : bareLink ? "link" : "note");
+
+			// Phones that control several mirrors set stm_pick; the PWA asks which mirror gets the link
+			if (url && !files.length && parseCookies(req.headers.cookie).stm_pick) {
+				return res.redirect(303, `/?${new URLSearchParams({ [sharedKind()]: url, pick: "1" })}`);
+			}
 
-			if (videoId) {
-				this.playVideo(videoId, url);
+			// Send unpaired share sheets to the PWA, which pairs and then replays the link (or pre-fills the note).
+			// Any page can link to GET /share-target and the browser sends the stm_token cookie along,
+			// so links without an explicit token go to the PWA too, which asks before sending them on
+			const linked = req.method === "GET";
+			if (!this.authorize(req, { cookie: !linked })) {
+				this.removePhotoFiles(files);
+				if (!url || files.length) return res.redirect(303, "/");
+				return res.redirect(303, `/?${new URLSearchParams({ [sharedKind()]: url, ...(linked ? { confirm: "1" } : {}) })}`);
+			}
+
+			if (files.length) {
+				this.showPhotos(files, this.describeSource(req, "share"));
+				return res.sendFile(path.join(__dirname, "public", "done.html"));
+			}
+
+			const enqueue = parseBoolean(req.body?.enqueue ?? req.query?.enqueue);
+
+			if (media) {
+				const blocked = await this.checkContent(media);
+				if (blocked) return res.redirect(303, `/?${new URLSearchParams({ blocked })}`);
+
+				const source = this.describeSource(req, "share");
+				const { quiet } = enqueue && this.state.playing ? this.enqueueVideo(media, url, source) : this.startVideo(media, url, source);
+				// The share sheet closes on done.html; open the PWA instead so it can say why the video didn't play as usual
+				if (quiet) return res.redirect(303, `/?${new URLSearchParams({ quiet: quiet.message })}`);
+			} else if (bareLink) {
+				const refused = await this.checkLinkUrl(url.trim());
+				if (refused) return res.redirect(303, `/?${new URLSearchParams({ blocked: refused })}`);
+				// Articles, recipes, ... get a preview card; the page is fetched after the share sheet closes
+				this.showLink(url.trim(), "card", this.describeSource(req, "share"));
+			} else if (url) {
+				// Plain text (a shopping list, "back at 6") becomes a note; long shares are cut to fit
+				const text = String(url).trim();
+				const { maxLength } = this.config.notes;
+				this.addNote({ text: text.length > maxLength ? `${text.slice(0, maxLength - 1)}…` : text }, this.describeSource(req, "share"));
 			}
 
 			res.sendFile(path.join(__dirname, "public", "done.html"));
 		};
 
-		app.post("/share-target", upload.none(), handleShareTarget);
+		app.post("/share-target", photoUpload.array("photos"), handleShareTarget);
 		app.get("/share-target", handleShareTarget);
 
-		// API endpoints - using simple paths only
-		app.post("/api/play", (req, res) => {
-			const videoId = parseYouTubeId(req.body?.url);
+		// Shared photos, for the mirror and the PWA; the random ID is the only key
+		app.get("/photos/:id", (req, res) => {
+			const photo = this.photos.find((item) => item.id === req.params.id);
 
-			if (!videoId) {
-				return res.status(400).json({ ok: false, error: "Invalid YouTube URL" });
+			if (!photo) {
+				return res.status(404).json({ ok: false, error: "Photo not found" });
 			}
 
-			this.playVideo(videoId, req.body.url);
-			res.json({ ok: true, mode: "embedded", videoId });
+			res.setHeader("Cache-Control", "no-store");
+			res.type(photo.type).sendFile(photo.file);
+		});
+
+		// API endpoints - using simple paths only
+		// Play, stop, queue, control and overlay share their logic with the notification API (see handleCommand)
+		const reply = (res, { status = 200, ...body }) => res.status(status).json(body);
+
+		app.post("/api/play", async (req, res) => {
+			reply(res, await this.requestPlay(req.body, this.describeSource(req, "api")));
 		});
 
 		app.post("/api/stop", (req, res) => {
-			this.state.playing = false;
-			this.sendSocketNotification("STM_STOP_EMBED", { reason: "api" });
-			res.json({ ok: true, message: "Playback stopped" });
+			reply(res, this.stopPlayback("api"));
 		});
 
-		app.post("/api/control", (req, res) => {
-			const { action, seconds } = req.body;
+		// Sleep timer - stop after a number of minutes or when the current video ends
+		app.post("/api/sleep", (req, res) => {
+			reply(res, this.setSleepTimer(req.body));
+		});
 
-			if (!action) {
-				return res.status(400).json({ ok: false, error: "Action is required" });
-			}
+		// Play queue - entries play in order, advancing when the current video ends
+		app.get("/api/queue", (req, res) => {
+			res.json({ ok: true, queue: this.state.queue });
+		});
 
-			const validActions = ["pause", "resume", "rewind", "forward"];
-			if (!validActions.includes(action)) {
-				return res.status(400).json({ ok: false, error: "Invalid action" });
+		app.post("/api/queue", async (req, res) => {
+			reply(res, await this.requestEnqueue(req.body, this.describeSource(req, "api")));
+		});
+
+		app.post("/api/queue/remove", (req, res) => {
+			const index = this.state.queue.findIndex((item) => item.id === req.body?.id);
+
+			if (index === -1) {
+				return res.status(404).json({ ok: false, error: "Queue entry not found" });
 			}
 
-			// For rewind/forward, validate seconds parameter
-			if ((action === "rewind" || action === "forward") && (!seconds || seconds <= 0)) {
-				return res.status(400).json({ ok: false, error: "Valid seconds parameter required for rewind/forward" });
+			const [removed] = this.state.queue.splice(index, 1);
+			this.broadcastEvent("queue");
+			res.json({ ok: true, removed, queue: this.state.queue });
+		});
+
+		app.post("/api/queue/move", (req, res) => {
+			const { id, index } = req.body || {};
+			const from = this.state.queue.findIndex((item) => item.id === id);
+
+			if (from === -1) {
+				return res.status(404).json({ ok: false, error: "Queue entry not found" });
+			}
+			if (!Number.isInteger(index) || index < 0 || index >= this.state.queue.length) {
+				return res.status(400).json({ ok: false, error: "Valid index parameter required" });
 			}
 
-			this.sendSocketNotification("STM_VIDEO_CONTROL", { action, seconds });
-			res.json({ ok: true, action, seconds: seconds || null });
+			const [item] = this.state.queue.splice(from, 1);
+			this.state.queue.splice(index, 0, item);
+			this.broadcastEvent("queue");
+			res.json({ ok: true, queue: this.state.queue });
 		});
 
-		app.post("/api/options", (req, res) => {
-			const updates = {};
+		app.post("/api/queue/next", (req, res) => {
+			const queued = this.state.queue.length;
+			const item = this.playNext();
 
-			if (req.body.caption && typeof req.body.caption === "object") {
-				updates.caption = {
-					enabled: Boolean(req.body.caption.enabled),
-					lang: req.body.caption.lang || "en"
-				};
-				Object.assign(this.state.caption, updates.caption);
+			if (!item) {
+				return queued
+					? res.status(409).json({ ok: false, error: "Quiet hours: the queued videos will start when they end" })
+					: res.status(404).json({ ok: false, error: "Queue is empty" });
 			}
 
-			if (req.body.quality && typeof req.body.quality === "object") {
-				updates.quality = {
-					target: req.body.quality.target || "auto",
+			res.json({ ok: true, videoId: item.videoId, playlistId: item.playlistId, queue: this.state.queue });
+		});
+
+		app.post("/api/queue/clear", (req, res) => {
+			this.state.queue = [];
+			this.broadcastEvent("queue");
+			res.json({ ok: true, queue: this.state.queue });
+		});
+
+		// Share history - every played video, newest first, persisted across restarts
+		app.get("/api/history", (req, res) => {
+			const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 20, 1), 100);
+			const offset = Math.max(parseInt(req.query.offset, 10) || 0, 0);
+
+			res.json({
+				ok: true,
+				items: this.history.slice(offset, offset + limit),
+				total: this.history.length,
+				offset,
+				limit
+			});
+		});
+
+		app.post("/api/history/replay", async (req, res) => {
+			const entry = this.history.find((item) => item.id === req.body?.id);
+
+			if (!entry) {
+				return res.status(404).json({ ok: false, error: "History entry not found" });
+			}
+
+			const media = this.parseMediaUrl(entry.url)
+				|| { provider: entry.provider || "youtube", videoId: entry.videoId, playlistId: entry.playlistId };
+			const blocked = await this.checkContent(media);
+			if (blocked) {
+				return res.status(403).json({ ok: false, error: blocked, blocked: true });
+			}
+			reply(res, this.describeStart(media, this.startVideo(media, entry.url, this.describeSource(req, "history"), entry.title)));
+		});
+
+		app.post("/api/history/remove", (req, res) => {
+			const index = this.history.findIndex((item) => item.id === req.body?.id);
+
+			if (index === -1) {
+				return res.status(404).json({ ok: false, error: "History entry not found" });
+			}
+
+			const [removed] = this.history.splice(index, 1);
+			if (removed === this.historyEntry) this.historyEntry = null;
+			this.saveHistory();
+			res.json({ ok: true, removed, total: this.history.length });
+		});
+
+		app.post("/api/history/clear", (req, res) => {
+			this.history = [];
+			this.historyEntry = null;
+			this.saveHistory();
+			res.json({ ok: true, total: 0 });
+		});
+
+		// Favorites - saved videos, in the user's order, optionally grouped by folder and tags
+		const favoriteFields = (body) => {
+			const fields = {};
+
+			if (body.title !== undefined) {
+				if (body.title !== null && typeof body.title !== "string") return { error: "Title must be a string" };
+				fields.title = body.title?.trim().slice(0, 200) || null;
+			}
+			if (body.folder !== undefined) {
+				if (body.folder !== null && typeof body.folder !== "string") return { error: "Folder must be a string" };
+				fields.folder = body.folder?.trim().slice(0, 50) || null;
+			}
+			if (body.tags !== undefined) {
+				if (!Array.isArray(body.tags) || body.tags.some((tag) => typeof tag !== "string")) {
+					return { error: "Tags must be an array of strings" };
+				}
+				fields.tags = [...new Set(body.tags.map((tag) => tag.trim().toLowerCase().slice(0, 30)).filter(Boolean))].slice(0, 10);
+			}
+
+			return { fields };
+		};
+
+		app.get("/api/favorites", (req, res) => {
+			const { folder, tag } = req.query;
+			const favorites = this.favorites.filter((item) =>
+				(!folder || item.folder === folder) && (!tag || item.tags.includes(String(tag).toLowerCase())));
+
+			res.json({
+				ok: true,
+				favorites,
+				folders: [...new Set(this.favorites.map((item) => item.folder).filter(Boolean))].sort(),
+				tags: [...new Set(this.favorites.flatMap((item) => item.tags))].sort()
+			});
+		});
+
+		app.post("/api/favorites", (req, res) => {
+			const media = this.parseMediaUrl(req.body?.url);
+
+			if (!media) {
+				return res.status(400).json({ ok: false, error: this.unsupportedUrlError() });
+			}
+
+			const { fields, error } = favoriteFields(req.body);
+			if (error) {
+				return res.status(400).json({ ok: false, error });
+			}
+
+			// Saving the same video twice is harmless; hand back the existing entry
+			const existing = this.favorites.find((item) => (item.provider || "youtube") === media.provider
+				&& item.videoId === media.videoId && item.playlistId === media.playlistId);
+			if (existing) {
+				return res.json({ ok: true, item: existing, existing: true, favorites: this.favorites });
+			}
+
+			const item = {
+				id: crypto.randomUUID(),
+				provider: media.provider,
+				videoId: media.videoId,
+				playlistId: media.playlistId,
+				url: req.body.url,
+				title: null,
+				folder: null,
+				tags: [],
+				...fields,
+				addedAt: new Date().toISOString()
+			};
+
+			this.favorites.push(item);
+			this.saveFavorites();
+			res.json({ ok: true, item, favorites: this.favorites });
+
+			// Resolve a title in the background so the list shows something readable
+			if (!item.title && item.videoId) {
+				this.fetchMediaInfo(media)
+					.then((info) => {
+						item.title = info.title;
+						if (this.favorites.includes(item)) this.saveFavorites();
+					})
+					.catch(() => {});
+			}
+		});
+
+		app.post("/api/favorites/update", (req, res) => {
+			const item = this.favorites.find((entry) => entry.id === req.body?.id);
+
+			if (!item) {
+				return res.status(404).json({ ok: false, error: "Favorite not found" });
+			}
+
+			const { fields, error } = favoriteFields(req.body);
+			if (error) {
+				return res.status(400).json({ ok: false, error });
+			}
+
+			Object.assign(item, fields);
+			this.saveFavorites();
+			res.json({ ok: true, item, favorites: this.favorites });
+		});
+
+		app.post("/api/favorites/remove", (req, res) => {
+			const index = this.favorites.findIndex((item) => item.id === req.body?.id);
+
+			if (index === -1) {
+				return res.status(404).json({ ok: false, error: "Favorite not found" });
+			}
+
+			const [removed] = this.favorites.splice(index, 1);
+			this.saveFavorites();
+			res.json({ ok: true, removed, favorites: this.favorites });
+		});
+
+		app.post("/api/favorites/move", (req, res) => {
+			const { id, index } = req.body || {};
+			const from = this.favorites.findIndex((item) => item.id === id);
+
+			if (from === -1) {
+				return res.status(404).json({ ok: false, error: "Favorite not found" });
+			}
+			if (!Number.isInteger(index) || index < 0 || index >= this.favorites.length) {
+				return res.status(400).json({ ok: false, error: "Valid index parameter required" });
+			}
+
+			const [item] = this.favorites.splice(from, 1);
+			this.favorites.splice(index, 0, item);
+			this.saveFavorites();
+			res.json({ ok: true, favorites: this.favorites });
+		});
+
+		app.post("/api/control", (req, res) => {
+			reply(res, this.controlPlayback(req.body));
+		});
+
+		app.post("/api/options", (req, res) => {
+			const updates = {};
+
+			if (req.body.caption && typeof req.body.caption === "object") {
+				updates.caption = {
+					enabled: Boolean(req.body.caption.enabled),
+					lang: req.body.caption.lang || "en"
+				};
+				Object.assign(this.state.caption, updates.caption);
+			}
+
+			if (req.body.quality && typeof req.body.quality === "object") {
+				updates.quality = {
+					target: req.body.quality.target || "auto",
 					floor: req.body.quality.floor || null,
 					ceiling: req.body.quality.ceiling || null,
 					lock: Boolean(req.body.quality.lock)
@@ -321,6 +1361,7 @@ module.exports = NodeHelper.create({
 
 			if (Object.keys(updates).length > 0) {
 				this.sendSocketNotification("STM_OPTIONS", updates);
+				this.broadcastEvent("options", updates);
 			}
 
 			res.json({ ok: true, state: this.state, updated: Object.keys(updates).length > 0 });
@@ -330,40 +1371,381 @@ module.exports = NodeHelper.create({
 			res.json({
 				ok: true,
 				state: this.state,
+				quietHours: { active: this.quietHoursFor(null), held: this.heldVideos },
+				sleep: this.describeSleepTimer(),
 				config: {
 					port: this.config.port,
-					httpsEnabled: this.config.https?.enabled || false
+					httpsEnabled: this.config.https?.enabled || false,
+					authEnabled: this.config.auth?.enabled || false,
+					volumeMax: this.config.volume.max,
+					playbackRates: this.getPlaybackRates(),
+					providers: this.providers.map((provider) => provider.name),
+					mirrors: this.config.mirrors
 				},
 				timestamp: new Date().toISOString()
 			});
 		});
 
 		app.post("/api/video-info", async (req, res) => {
-			const { videoId } = req.body;
+			// Either a shared URL (keeps extras such as Vimeo's unlisted hash) or provider + videoId
+			const parsed = req.body.url ? this.parseMediaUrl(req.body.url) : null;
+			const { videoId, provider: name = "youtube", hash = null } = parsed || req.body;
+			const provider = this.getProvider(name);
+
+			if (!provider) {
+				return res.status(400).json({ ok: false, error: `Provider "${name}" is not enabled` });
+			}
 
 			// Validate video ID format
-			if (!videoId || !(/^[a-zA-Z0-9_-]{11}$/).test(videoId)) {
+			if (!videoId || !provider.idPattern.test(videoId)) {
 				return res.status(400).json({ ok: false, error: "Invalid video ID format" });
 			}
 
+			const media = { provider: name, videoId, hash: typeof hash === "string" ? hash : null };
+			res.json({ ok: true, data: await this.fetchMediaInfo(media) });
+		});
+
+		// Toggle the on-mirror overlay size: fullscreen | windowed | toggle
+		app.post("/api/overlay", (req, res) => {
+			reply(res, this.setOverlayMode(req.body));
+		});
+
+		// Notes - short text messages shown on the mirror until they expire or are dismissed
+		app.get("/api/notes", (req, res) => {
+			res.json({ ok: true, notes: this.notes });
+		});
+
+		app.post("/api/notes", (req, res) => {
+			const { text, sender = null, expiresIn = this.config.notes.duration } = req.body || {};
+			const { maxLength } = this.config.notes;
+
+			if (typeof text !== "string" || !text.trim()) {
+				return res.status(400).json({ ok: false, error: "Note text required" });
+			}
+			if (text.trim().length > maxLength) {
+				return res.status(400).json({ ok: false, error: `Note text is limited to ${maxLength} characters` });
+			}
+			if (sender !== null && typeof sender !== "string") {
+				return res.status(400).json({ ok: false, error: "Sender must be a string" });
+			}
+			// setTimeout cannot wait longer than ~24 days; a week is plenty for a note
+			if (!Number.isInteger(expiresIn) || expiresIn < 0 || expiresIn > 604800) {
+				return res.status(400).json({ ok: false, error: "expiresIn must be 0 (until dismissed) to 604800 seconds" });
+			}
+
+			const note = this.addNote({ text: text.trim(), sender, expiresIn }, this.describeSource(req, "api"));
+			res.json({ ok: true, note, notes: this.notes });
+		});
+
+		app.post("/api/notes/dismiss", (req, res) => {
+			const index = this.notes.findIndex((note) => note.id === req.body?.id);
+
+			if (index === -1) {
+				return res.status(404).json({ ok: false, error: "Note not found" });
+			}
+
+			const [removed] = this.notes.splice(index, 1);
+			this.saveNotes();
+			res.json({ ok: true, removed, notes: this.notes });
+		});
+
+		app.post("/api/notes/clear", (req, res) => {
+			this.notes = [];
+			this.saveNotes();
+			res.json({ ok: true, notes: [] });
+		});
+
+		// Photo slideshow - uploads replace whatever is on screen
+		app.get("/api/photos", (req, res) => {
+			res.json({ ok: true, photos: this.photos.map((photo) => this.describePhoto(photo)), current: this.state.photo });
+		});
+
+		app.post("/api/photos", photoUpload.array("photos"), (req, res) => {
+			const files = req.files || [];
+
+			if (!files.length) {
+				return res.status(400).json({ ok: false, error: "No supported images (JPEG, PNG, GIF, WebP, AVIF or BMP)" });
+			}
+
+			const fit = req.body?.fit;
+			if (fit !== undefined && !PHOTO_FITS.includes(fit)) {
+				this.removePhotoFiles(files);
+				return res.status(400).json({ ok: false, error: `fit must be one of: ${PHOTO_FITS.join(", ")}` });
+			}
+
+			this.showPhotos(files, this.describeSource(req, "api"), fit);
+			res.json({ ok: true, photos: this.photos.map((photo) => this.describePhoto(photo)), current: this.state.photo });
+		});
+
+		app.post("/api/photos/control", (req, res) => {
+			const { action, index, fit } = req.body || {};
+			const current = this.state.photo;
+
+			if (!current) {
+				return res.status(409).json({ ok: false, error: "No photos on screen" });
+			}
+
+			if (action === "next") this.showPhoto((current.index + 1) % current.total);
+			else if (action === "previous") this.showPhoto((current.index - 1 + current.total) % current.total);
+			else if (action === "show") {
+				if (!Number.isInteger(index) || index < 0 || index >= current.total) {
+					return res.status(400).json({ ok: false, error: "Valid index parameter required" });
+				}
+				this.showPhoto(index);
+			} else if (action === "fit") {
+				if (!PHOTO_FITS.includes(fit)) {
+					return res.status(400).json({ ok: false, error: `fit must be one of: ${PHOTO_FITS.join(", ")}` });
+				}
+				this.showPhoto(current.index, fit);
+			} else if (action === "dismiss") {
+				this.dismissPhotos("api");
+			} else {
+				return res.status(400).json({ ok: false, error: "Unknown action (next, previous, show, fit, dismiss)" });
+			}
+
+			res.json({ ok: true, current: this.state.photo });
+		});
+
+		// Web links - preview card (or the page itself) for anything that is not a video
+		app.get("/api/link", (req, res) => {
+			res.json({ ok: true, link: this.state.link });
+		});
+
+		app.post("/api/link", async (req, res) => {
+			const { url, mode = "card" } = req.body || {};
+
+			if (typeof url !== "string" || !(/^https?:\/\/\S+$/i).test(url.trim()) || url.length > 2048) {
+				return res.status(400).json({ ok: false, error: "Valid http(s) url parameter required" });
+			}
+			if (!["card", "page"].includes(mode)) {
+				return res.status(400).json({ ok: false, error: "mode must be card or page" });
+			}
+
+			const refused = await this.checkLinkUrl(url.trim());
+			if (refused) {
+				return res.status(400).json({ ok: false, error: refused });
+			}
+
+			const link = await this.showLink(url.trim(), mode, this.describeSource(req, "api"));
+			if (!link) {
+				return res.status(409).json({ ok: false, error: "The link was replaced or closed before its preview was ready" });
+			}
+
+			res.json({ ok: true, link });
+		});
+
+		app.post("/api/link/control", (req, res) => {
+			const { action } = req.body || {};
+			const current = this.state.link;
+
+			if (!current) {
+				return res.status(409).json({ ok: false, error: "No link on screen" });
+			}
+
+			if (action === "page") {
+				if (!this.config.links.pages) {
+					return res.status(403).json({ ok: false, error: "Showing pages is disabled on this mirror" });
+				}
+				if (!current.embeddable) {
+					return res.status(409).json({ ok: false, error: `${current.siteName} does not allow being shown inside other pages` });
+				}
+				this.presentLink("page");
+			} else if (action === "card") {
+				this.presentLink("card");
+			} else if (action === "dismiss") {
+				this.dismissLink("api");
+			} else {
+				return res.status(400).json({ ok: false, error: "Unknown action (page, card, dismiss)" });
+			}
+
+			res.json({ ok: true, link: this.state.link });
+		});
+
+		// Content filter - anyone paired can read it, only auth.admins devices can change it
+		app.get("/api/filters", (req, res) => {
+			res.json(this.describeContentFilter(req));
+		});
+
+		app.post("/api/filters", (req, res) => {
+			if (!this.isAdmin(req)) {
+				return res.status(403).json({ ok: false, error: "Only admin devices can change the content filter (see auth.admins)" });
+			}
+
+			const body = req.body || {};
+			if (body.kidsMode !== undefined && body.kidsMode !== null && typeof body.kidsMode !== "boolean") {
+				return res.status(400).json({ ok: false, error: "kidsMode must be true, false or null (follow config.js)" });
+			}
+			const invalid = FILTER_LISTS.find((key) => body[key] !== undefined
+				&& (!Array.isArray(body[key]) || body[key].length > 500 || body[key].some((entry) => typeof entry !== "string")));
+			if (invalid) {
+				return res.status(400).json({ ok: false, error: `${invalid} must be an array of up to 500 strings` });
+			}
+
+			if (body.kidsMode !== undefined) this.filters.kidsMode = body.kidsMode;
+			FILTER_LISTS.forEach((key) => {
+				if (body[key] !== undefined) this.filters[key] = this.filterEntries(key, body[key]);
+			});
+			this.writeData("filters", this.filters);
+			console.log(`[MMM-ShareToMirror] Content filter changed by ${req.device.name}`);
+			this.broadcastEvent("filters");
+			res.json(this.describeContentFilter(req));
+		});
+
+		// Schedule - videos that start by themselves at set times (rules from config.js are read-only)
+		app.get("/api/schedule", (req, res) => {
+			res.json({ ok: true, schedule: this.schedule.map((rule) => this.describeScheduleRule(rule)) });
+		});
+
+		app.post("/api/schedule", (req, res) => {
+			const { fields, error } = this.scheduleFields(req.body);
+			if (error) {
+				return res.status(400).json({ ok: false, error });
+			}
+
+			const rule = { id: crypto.randomUUID(), ...fields, source: "api", createdAt: new Date().toISOString(), lastRunAt: null };
+			this.schedule.push(rule);
+			this.saveSchedule();
+			res.json({ ok: true, item: this.describeScheduleRule(rule), schedule: this.schedule.map((entry) => this.describeScheduleRule(entry)) });
+		});
+
+		app.post("/api/schedule/update", (req, res) => {
+			const rule = this.schedule.find((entry) => entry.id === req.body?.id);
+
+			if (!rule) {
+				return res.status(404).json({ ok: false, error: "Schedule rule not found" });
+			}
+			if (rule.source === "config") {
+				return res.status(403).json({ ok: false, error: "Rules from config.js can only be changed there" });
+			}
+
+			const { fields, error } = this.scheduleFields(req.body, rule);
+			if (error) {
+				return res.status(400).json({ ok: false, error });
+			}
+
+			Object.assign(rule, fields);
+			this.saveSchedule();
+			res.json({ ok: true, item: this.describeScheduleRule(rule), schedule: this.schedule.map((entry) => this.describeScheduleRule(entry)) });
+		});
+
+		app.post("/api/schedule/remove", (req, res) => {
+			const index = this.schedule.findIndex((entry) => entry.id === req.body?.id);
+
+			if (index === -1) {
+				return res.status(404).json({ ok: false, error: "Schedule rule not found" });
+			}
+			if (this.schedule[index].source === "config") {
+				return res.status(403).json({ ok: false, error: "Rules from config.js can only be changed there" });
+			}
+
+			const [removed] = this.schedule.splice(index, 1);
+			this.saveSchedule();
+			res.json({ ok: true, removed, schedule: this.schedule.map((entry) => this.describeScheduleRule(entry)) });
+		});
+
+		// Live updates for the PWA (Server-Sent Events)
+		app.get("/api/events", (req, res) => {
+			res.writeHead(200, {
+				"Content-Type": "text/event-stream",
+				"Cache-Control": "no-cache, no-transform",
+				"Connection": "keep-alive",
+				"X-Accel-Buffering": "no"
+			});
+			res.write("retry: 3000\n\n");
+
+			this.eventClients.add(res);
+			this.writeEvent(res, "status", { state: this.state });
+
+			// Comment lines keep proxies from closing an idle stream
+			const heartbeat = setInterval(() => res.write(": ping\n\n"), 25000);
+
+			req.on("close", () => {
+				clearInterval(heartbeat);
+				this.eventClients.delete(res);
+			});
+		});
+
+		// Pairing - the mirror shows a PIN, the phone trades it for a device token
+		app.post("/api/pair/start", (req, res) => {
+			if (!this.config.auth?.enabled) {
+				return res.status(400).json({ ok: false, error: "Pairing is not enabled" });
+			}
+
+			const expiresIn = this.startPairing();
+			res.json({ ok: true, expiresIn });
+		});
+
+		app.post("/api/pair", (req, res) => {
+			if (!this.config.auth?.enabled) {
+				return res.status(400).json({ ok: false, error: "Pairing is not enabled" });
+			}
+
+			const result = this.completePairing(req.body?.pin, req.body?.name);
+			if (result.error) {
+				return res.status(403).json({ ok: false, error: result.error });
+			}
+
+			res.cookie("stm_token", result.token, {
+				httpOnly: true,
+				sameSite: "lax",
+				secure: Boolean(this.config.https?.enabled),
+				maxAge: 10 * 365 * 24 * 3600 * 1000
+			});
+			res.json({ ok: true, token: result.token, device: this.describeDevice(result.device) });
+		});
+
+		app.get("/api/devices", (req, res) => {
+			res.json({
+				ok: true,
+				devices: this.devices.map((device) => ({
+					...this.describeDevice(device),
+					current: device === req.device
+				}))
+			});
+		});
+
+		app.post("/api/devices/revoke", (req, res) => {
+			const index = this.devices.findIndex((device) => device.id === req.body?.id);
+
+			if (index === -1) {
+				return res.status(404).json({ ok: false, error: "Device not found" });
+			}
+
+			const [removed] = this.devices.splice(index, 1);
+			this.writeData("devices", this.devices);
+			console.log(`[MMM-ShareToMirror] Revoked device: ${removed.name}`);
+
+			if (removed === req.device) res.clearCookie("stm_token");
+			res.json({ ok: true, revoked: this.describeDevice(removed) });
+		});
+
+		// QR code of the PWA address, for phones that have never connected
+		app.get("/api/qr", async (req, res) => {
 			try {
-				const videoInfo = await this.fetchYouTubeVideoInfo(videoId);
-				res.json({ ok: true, data: videoInfo });
+				const url = this.getServerUrl();
+				res.json({ ok: true, url, image: await QRCode.toDataURL(url, { margin: 1, width: 320 }) });
 			} catch (error) {
-				console.error("[MMM-ShareToMirror] Failed to fetch video info:", error);
-				res.status(500).json({
-					ok: false,
-					error: "Failed to fetch video information",
-					fallback: this.createFallbackVideoInfo(videoId)
-				});
+				console.error("[MMM-ShareToMirror] QR code generation failed:", error);
+				res.status(500).json({ ok: false, error: "Failed to generate QR code" });
 			}
 		});
 
-		// Toggle the on-mirror overlay size: fullscreen | windowed | toggle
-		app.post("/api/overlay", (req, res) => {
-			const { action = "toggle" } = req.body || {};
-			this.sendSocketNotification("STM_OVERLAY", { action });
-			res.json({ ok: true });
+		app.post("/api/qr", (req, res) => {
+			const { action = "show", duration } = req.body || {};
+
+			if (action === "hide") {
+				this.sendSocketNotification("STM_HIDE_QR", {});
+				return res.json({ ok: true, action });
+			}
+			if (action !== "show") {
+				return res.status(400).json({ ok: false, error: "Invalid action" });
+			}
+			if (duration !== undefined && (!Number.isInteger(duration) || duration < 0)) {
+				return res.status(400).json({ ok: false, error: "Duration must be a whole number of seconds" });
+			}
+
+			this.showQrCode(duration ?? this.config.qrCode.duration);
+			res.json({ ok: true, action, url: this.getServerUrl() });
 		});
 
 		app.get("/api/health", (req, res) => {
@@ -376,6 +1758,53 @@ module.exports = NodeHelper.create({
 		});
 	},
 
+	/**
+	 * Find the enabled provider that understands a shared link
+	 * @param {string} input - Shared URL (or bare YouTube ID)
+	 * @returns {object|null} Media object tagged with its provider name, or null
+	 */
+	parseMediaUrl (input) {
+		for (const provider of this.providers) {
+			const media = provider.parse(input);
+			if (media) return media;
+		}
+		return null;
+	},
+
+	/**
+	 * @param {string} name - Provider name
+	 * @returns {object|null} The provider if it is enabled
+	 */
+	getProvider (name) {
+		return this.providers.find((provider) => provider.name === name) || null;
+	},
+
+	/**
+	 * Error message listing the link types this mirror accepts
+	 * @returns {string} Error text for unsupported URLs
+	 */
+	unsupportedUrlError () {
+		return `Invalid or unsupported video URL (supported: ${this.providers.map((provider) => provider.label).join(", ")})`;
+	},
+
+	/**
+	 * Fetch video information from the media's provider, never failing
+	 * @param {object} media - Media object from parseMediaUrl (entries without provider are YouTube)
+	 * @returns {Promise<object>} Video information object
+	 */
+	async fetchMediaInfo (media) {
+		// Disabled providers still describe entries saved while they were enabled
+		const provider = PROVIDERS[media.provider || "youtube"];
+		if (!provider) return this.createFallbackVideoInfo(media.videoId);
+
+		try {
+			return await provider.fetchInfo(media, this);
+		} catch (error) {
+			console.warn(`[MMM-ShareToMirror] ${provider.label} video info failed:`, error.message);
+			return provider.fallbackInfo(media, this);
+		}
+	},
+
 	/**
 	 * Fetch YouTube video information using multiple methods
 	 * @param {string} videoId - YouTube video ID
@@ -438,6 +1867,7 @@ module.exports = NodeHelper.create({
 							resolve({
 								title: oembedData.title,
 								channel: oembedData.author_name || "YouTube",
+								channelUrl: oembedData.author_url || null,
 								thumbnail: oembedData.thumbnail_url || `https://img.youtube.com/vi/${videoId}/mqdefault.jpg`,
 								url: `https://www.youtube.com/watch?v=${videoId}`,
 								description: `Video by ${oembedData.author_name || "YouTube"}`,
@@ -511,6 +1941,7 @@ module.exports = NodeHelper.create({
 							resolve({
 								title: snippet.title,
 								channel: snippet.channelTitle || "YouTube",
+								channelUrl: snippet.channelId ? `https://www.youtube.com/channel/${snippet.channelId}` : null,
 								thumbnail: snippet.thumbnails?.medium?.url || `https://img.youtube.com/vi/${videoId}/mqdefault.jpg`,
 								url: `https://www.youtube.com/watch?v=${videoId}`,
 								description: snippet.description || "",
@@ -545,27 +1976,57 @@ module.exports = NodeHelper.create({
 	},
 
 	/**
-	 * Fetch video info by scraping YouTube page (fallback method)
-	 * — Robust to Brotli/gzip/deflate and looser response formats
-	 * @param {string} videoId - YouTube video ID
+	 * Download an HTML page the way a desktop browser would
+	 * — Follows redirects, robust to Brotli/gzip/deflate, stops at 2MB of decoded text
+	 * @param {string} url - Page address (http or https)
+	 * @param {object} headers - Extra request headers
+	 * @param {number} redirects - Redirects still allowed
+	 * @param {boolean} publicOnly - Refuse addresses on this machine or the local network, on every redirect too (shared links)
+	 * @returns {Promise<{html: string, url: string, headers: object}>} Page text, final address and response headers
 	 */
-	async fetchVideoInfoFromScraping (videoId) {
-		const url = `https://www.youtube.com/watch?v=${videoId}`;
-
+	fetchPage (url, headers = {}, redirects = 3, publicOnly = false) {
 		return new Promise((resolve, reject) => {
-			const request = https.get(url, {
+			// IP literals skip the lookup, so they are checked here
+			if (publicOnly && isPrivateHost(new URL(url).hostname)) {
+				reject(new Error(PRIVATE_LINK_ERROR));
+				return;
+			}
+
+			const client = url.startsWith("http:") ? http : https;
+			const request = client.get(url, {
 				timeout: 9000,
+				...(publicOnly ? { lookup: lookupPublic } : {}),
 				headers: {
 					// Intentionally omit Accept-Encoding; if compression is sent anyway, we handle it below.
 					"User-Agent": "Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/122.0.0.0 Safari/537.36",
 					"Accept": "text/html,application/xhtml+xml,application/xml;q=0.9,image/webp,*/*;q=0.8",
 					"Accept-Language": "en-US,en;q=0.9",
 					"Connection": "keep-alive",
-					"Referer": "https://www.youtube.com/"
+					...headers
 				}
 			}, (response) => {
+				const { location } = response.headers;
+				if (response.statusCode >= 300 && response.statusCode < 400 && location) {
+					response.resume();
+					let next = null;
+					try {
+						next = new URL(location, url);
+					} catch {
+						// handled below
+					}
+					if (!next || !["http:", "https:"].includes(next.protocol)) {
+						reject(new Error("Invalid redirect"));
+					} else if (redirects <= 0) {
+						reject(new Error("Too many redirects"));
+					} else {
+						resolve(this.fetchPage(next.href, headers, redirects - 1, publicOnly));
+					}
+					return;
+				}
+
 				if (response.statusCode !== 200) {
-					reject(new Error(`YouTube page returned status ${response.statusCode}`));
+					response.resume();
+					reject(new Error(`Page returned status ${response.statusCode}`));
 					return;
 				}
 
@@ -599,100 +2060,109 @@ module.exports = NodeHelper.create({
 				});
 
 				stream.on("end", () => {
-					if (aborted) return;
-					try {
-						const html = data;
-
-						// Works with "var ytInitialPlayerResponse =" or without var
-						const match = html.match(/ytInitialPlayerResponse\s*=\s*({[\s\S]+?})\s*;/);
-						if (match) {
-							const playerData = JSON.parse(match[1]);
-							const videoDetails = playerData?.videoDetails;
-
-							if (videoDetails) {
-								const secs = parseInt(videoDetails.lengthSeconds) || null;
-
-								const formatDuration = (seconds) => {
-									if (!seconds) return null;
-									const hrs = Math.floor(seconds / 3600);
-									const mins = Math.floor((seconds % 3600) / 60);
-									const sc = seconds % 60;
-									return hrs > 0
-										? `${hrs}:${mins.toString().padStart(2, "0")}:${sc.toString().padStart(2, "0")}`
-										: `${mins}:${sc.toString().padStart(2, "0")}`;
-								};
-
-								const formatViews = (views) => {
-									const num = parseInt(views || 0);
-									if (!num) return null;
-									if (num >= 1e9) return `${(num / 1e9).toFixed(1)}B views`;
-									if (num >= 1e6) return `${(num / 1e6).toFixed(1)}M views`;
-									if (num >= 1e3) return `${(num / 1e3).toFixed(1)}K views`;
-									return `${num} views`;
-								};
-
-								return resolve({
-									title: videoDetails.title,
-									channel: videoDetails.author || "YouTube",
-									thumbnail: videoDetails.thumbnail?.thumbnails?.[2]?.url
-										|| videoDetails.thumbnail?.thumbnails?.[0]?.url
-										|| `https://img.youtube.com/vi/${videoId}/mqdefault.jpg`,
-									url: `https://www.youtube.com/watch?v=${videoId}`,
-									description: videoDetails.shortDescription || "",
-									duration: secs,
-									durationFormatted: formatDuration(secs),
-									views: parseInt(videoDetails.viewCount) || null,
-									viewsFormatted: formatViews(videoDetails.viewCount),
-									likes: null,
-									publishedAt: null,
-									category: null,
-									tags: videoDetails.keywords || [],
-									quality: "Auto",
-									language: "en",
-									captions: []
-								});
-							}
-						}
+					if (!aborted) resolve({ html: data, url, headers: response.headers });
+				});
 
-						// Fallback: try og:title
-						const titleMeta = html.match(/<meta[^>]+property="og:title"[^>]+content="([^"]+)"/i)
-							|| html.match(/<meta[^>]+itemprop="name"[^>]+content="([^"]+)"/i);
-						if (titleMeta) {
-							return resolve({
-								title: titleMeta[1],
-								channel: "YouTube",
-								thumbnail: `https://img.youtube.com/vi/${videoId}/mqdefault.jpg`,
-								url: `https://www.youtube.com/watch?v=${videoId}`,
-								description: "",
-								duration: null,
-								durationFormatted: null,
-								views: null,
-								viewsFormatted: null,
-								likes: null,
-								publishedAt: null,
-								category: null,
-								tags: [],
-								quality: "Auto",
-								language: "en",
-								captions: []
-							});
-						}
-
-						// Last resort
-						reject(new Error("Could not extract video information from page"));
-					} catch (err) {
-						reject(new Error(`Failed to parse scraped data: ${err.message}`));
-					}
-				});
-
-				stream.on("error", (e) => bail(new Error(`Scrape stream error: ${e.message}`)));
+				stream.on("error", (e) => bail(new Error(`Page stream error: ${e.message}`)));
 			});
 
-			request.on("error", (error) => reject(new Error(`Scraping request failed: ${error.message}`)));
-			request.on("timeout", () => { request.destroy(); reject(new Error("Scraping request timeout")); });
+			request.on("error", (error) => reject(new Error(`Page request failed: ${error.message}`)));
+			request.on("timeout", () => { request.destroy(); reject(new Error("Page request timeout")); });
 		});
 	},
 
+	/**
+	 * Fetch video info by scraping YouTube page (fallback method)
+	 * @param {string} videoId - YouTube video ID
+	 */
+	async fetchVideoInfoFromScraping (videoId) {
+		const url = `https://www.youtube.com/watch?v=${videoId}`;
+		const { html } = await this.fetchPage(url, { "Referer": "https://www.youtube.com/" });
+
+		try {
+			// Works with "var ytInitialPlayerResponse =" or without var
+			const match = html.match(/ytInitialPlayerResponse\s*=\s*({[\s\S]+?})\s*;/);
+			if (match) {
+				const playerData = JSON.parse(match[1]);
+				const videoDetails = playerData?.videoDetails;
+
+				if (videoDetails) {
+					const secs = parseInt(videoDetails.lengthSeconds) || null;
+
+					const formatDuration = (seconds) => {
+						if (!seconds) return null;
+						const hrs = Math.floor(seconds / 3600);
+						const mins = Math.floor((seconds % 3600) / 60);
+						const sc = seconds % 60;
+						return hrs > 0
+							? `${hrs}:${mins.toString().padStart(2, "0")}:${sc.toString().padStart(2, "0")}`
+							: `${mins}:${sc.toString().padStart(2, "0")}`;
+					};
+
+					const formatViews = (views) => {
+						const num = parseInt(views || 0);
+						if (!num) return null;
+						if (num >= 1e9) return `${(num / 1e9).toFixed(1)}B views`;
+						if (num >= 1e6) return `${(num / 1e6).toFixed(1)}M views`;
+						if (num >= 1e3) return `${(num / 1e3).toFixed(1)}K views`;
+						return `${num} views`;
+					};
+
+					return {
+						title: videoDetails.title,
+						channel: videoDetails.author || "YouTube",
+						channelUrl: videoDetails.channelId ? `https://www.youtube.com/channel/${videoDetails.channelId}` : null,
+						thumbnail: videoDetails.thumbnail?.thumbnails?.[2]?.url
+							|| videoDetails.thumbnail?.thumbnails?.[0]?.url
+							|| `https://img.youtube.com/vi/${videoId}/mqdefault.jpg`,
+						url: `https://www.youtube.com/watch?v=${videoId}`,
+						description: videoDetails.shortDescription || "",
+						duration: secs,
+						durationFormatted: formatDuration(secs),
+						views: parseInt(videoDetails.viewCount) || null,
+						viewsFormatted: formatViews(videoDetails.viewCount),
+						likes: null,
+						publishedAt: null,
+						category: null,
+						tags: videoDetails.keywords || [],
+						quality: "Auto",
+						language: "en",
+						captions: []
+					};
+				}
+			}
+
+			// Fallback: try og:title
+			const titleMeta = html.match(/<meta[^>]+property="og:title"[^>]+content="([^"]+)"/i)
+				|| html.match(/<meta[^>]+itemprop="name"[^>]+content="([^"]+)"/i);
+			if (titleMeta) {
+				return {
+					title: titleMeta[1],
+					channel: "YouTube",
+					thumbnail: `https://img.youtube.com/vi/${videoId}/mqdefault.jpg`,
+					url: `https://www.youtube.com/watch?v=${videoId}`,
+					description: "",
+					duration: null,
+					durationFormatted: null,
+					views: null,
+					viewsFormatted: null,
+					likes: null,
+					publishedAt: null,
+					category: null,
+					tags: [],
+					quality: "Auto",
+					language: "en",
+					captions: []
+				};
+			}
+		} catch (err) {
+			throw new Error(`Failed to parse scraped data: ${err.message}`);
+		}
+
+		// Last resort
+		throw new Error("Could not extract video information from page");
+	},
+
 	/**
 	 * Create fallback video info when all methods fail
 	 * @param {string} videoId - YouTube video ID
@@ -733,13 +2203,1319 @@ module.exports = NodeHelper.create({
 		return hours * 3600 + minutes * 60 + seconds;
 	},
 
-	playVideo (videoId, url) {
+	/**
+	 * Run a command sent by another MagicMirror² module (forwarded by the front-end)
+	 * Each command maps onto the same method as its HTTP route, so validation and results match the API.
+	 * @param {{command: string, payload: object, sender: string|null}} message - Notification name, its payload and the sending module
+	 */
+	async handleCommand ({ command, payload, sender = null } = {}) {
+		const source = { via: "notification", device: sender, address: null };
+		const body = payload && typeof payload === "object" ? payload : {};
+		let result;
+
+		switch (command) {
+			case "STM_PLAY":
+				result = await this.requestPlay(body, source);
+				break;
+			case "STM_ENQUEUE":
+				result = await this.requestEnqueue(body, source);
+				break;
+			case "STM_STOP":
+				result = this.stopPlayback("notification");
+				break;
+			case "STM_CONTROL":
+				result = this.controlPlayback(body);
+				break;
+			case "STM_OVERLAY":
+				result = this.setOverlayMode(body);
+				break;
+			default:
+				result = { ok: false, error: `Unknown command ${command}` };
+		}
+
+		if (result.ok) console.log(`[MMM-ShareToMirror] ${command} from ${sender || "another module"} handled`);
+		else console.warn(`[MMM-ShareToMirror] ${command} from ${sender || "another module"} rejected: ${result.error}`);
+	},
+
+	/**
+	 * Play a shared URL right away, or add it to the queue (/api/play, STM_PLAY)
+	 * @param {{url: string, enqueue?: boolean|string}} request - Link and whether to queue it instead
+	 * @param {object|null} source - Who sent it (see describeSource)
+	 * @returns {Promise<object>} Response body; failures carry the HTTP `status`
+	 */
+	async requestPlay ({ url, enqueue = false } = {}, source = null) {
+		const media = this.parseMediaUrl(url);
+
+		if (!media) {
+			return { status: 400, ok: false, error: this.unsupportedUrlError() };
+		}
+
+		const blocked = await this.checkContent(media);
+		if (blocked) {
+			return { status: 403, ok: false, error: blocked, blocked: true };
+		}
+
+		const { provider, videoId, playlistId, start, end } = media;
+
+		if (parseBoolean(enqueue) && this.state.playing) {
+			const { item, quiet } = this.enqueueVideo(media, url, source);
+			if (quiet?.action === "refuse") return this.describeStart(media, { started: false, quiet });
+			return { ok: true, mode: "queued", provider, videoId, playlistId, start, end, item, queue: this.state.queue, ...(quiet ? { quiet } : {}) };
+		}
+
+		return this.describeStart(media, this.startVideo(media, url, source));
+	},
+
+	/**
+	 * Response body for a video that was asked to start (see startVideo)
+	 * @param {object} media - Parsed media
+	 * @param {{started: boolean, quiet: object|null, item?: object}} result - What startVideo did
+	 * @returns {object} Response body; refusals carry the HTTP `status`
+	 */
+	describeStart (media, { started, quiet, item }) {
+		const { provider = "youtube", videoId = null, playlistId = null, start = null, end = null } = media;
+
+		if (quiet?.action === "refuse") {
+			return { status: 403, ok: false, error: quiet.message, quiet };
+		}
+		return {
+			ok: true,
+			mode: started ? "embedded" : "held",
+			provider,
+			videoId,
+			playlistId,
+			start,
+			end,
+			...(item ? { item } : {}),
+			...(quiet ? { quiet } : {})
+		};
+	},
+
+	/**
+	 * Add a shared URL to the play queue (/api/queue, STM_ENQUEUE)
+	 * @param {{url: string}} request - Link to queue
+	 * @param {object|null} source - Who sent it (see describeSource)
+	 * @returns {Promise<object>} Response body; failures carry the HTTP `status`
+	 */
+	async requestEnqueue ({ url } = {}, source = null) {
+		const media = this.parseMediaUrl(url);
+
+		if (!media) {
+			return { status: 400, ok: false, error: this.unsupportedUrlError() };
+		}
+
+		const blocked = await this.checkContent(media);
+		if (blocked) {
+			return { status: 403, ok: false, error: blocked, blocked: true };
+		}
+
+		if (!this.state.playing) {
+			const result = this.startVideo(media, url, source);
+			if (result.quiet?.action === "refuse") return this.describeStart(media, result);
+			return { ok: true, item: result.item || null, started: result.started, queue: this.state.queue, ...(result.quiet ? { quiet: result.quiet } : {}) };
+		}
+
+		const { item, started, quiet } = this.enqueueVideo(media, url, source);
+		if (quiet?.action === "refuse") return this.describeStart(media, { started: false, quiet });
+		return { ok: true, item, started, queue: this.state.queue, ...(quiet ? { quiet } : {}) };
+	},
+
+	/**
+	 * Read the content filter: lists from config.js plus the ones admins saved through the API
+	 */
+	loadContentFilter () {
+		FILTER_LISTS.forEach((key) => {
+			this.config.contentFilter[key] = this.filterEntries(key, this.config.contentFilter[key]);
+		});
+		this.filters = this.readData("filters", {});
+	},
+
+	/**
+	 * Clean up a content filter list: video links become their ID, duplicates and blanks go
+	 * @param {string} key - One of FILTER_LISTS
+	 * @param {string[]} entries - Entries as typed
+	 * @returns {string[]} Entries to store
+	 */
+	filterEntries (key, entries) {
+		const cleaned = entries.map((entry) => {
+			const text = entry.trim().slice(0, 200);
+			if (key === "allowVideos" || key === "denyVideos") {
+				const media = this.parseMediaUrl(text);
+				return media?.videoId || media?.playlistId || text;
+			}
+			return key === "blockKeywords" ? text.toLowerCase() : text.replace(/\/+$/, "");
+		});
+		return [...new Set(cleaned.filter(Boolean))];
+	},
+
+	/**
+	 * The content filter in effect; saved kidsMode overrides config.js, lists add up
+	 * @returns {{kidsMode: boolean, allowChannels: string[], denyChannels: string[], allowVideos: string[], denyVideos: string[], blockKeywords: string[]}} Filter
+	 */
+	getContentFilter () {
+		const filter = { kidsMode: this.filters.kidsMode ?? this.config.contentFilter.kidsMode };
+		FILTER_LISTS.forEach((key) => {
+			filter[key] = [...new Set([...this.config.contentFilter[key], ...(this.filters[key] || [])])];
+		});
+		return filter;
+	},
+
+	/**
+	 * Check a video against the content filter before it plays
+	 * Video lists win over everything else; channels and keywords need the video info, so the check only fetches it when they are in use.
+	 * @param {object} media - Parsed media
+	 * @returns {Promise<string|null>} Why the video is blocked, or null when it may play
+	 */
+	async checkContent (media) {
+		const filter = this.getContentFilter();
+		const ids = [media.videoId, media.playlistId].filter(Boolean);
+		const block = (reason) => {
+			console.log(`[MMM-ShareToMirror] Blocked ${ids.join(" / ")}: ${reason}`);
+			return reason;
+		};
+
+		if (ids.some((id) => filter.denyVideos.includes(id))) return block("This video is blocked on the mirror");
+		if (ids.some((id) => filter.allowVideos.includes(id))) return null;
+		if (!filter.kidsMode && !filter.denyChannels.length && !filter.blockKeywords.length) return null;
+
+		// Whole playlists can't be checked video by video
+		if (!media.videoId) return filter.kidsMode ? block("Kids mode only allows single videos, not playlists") : null;
+
+		const info = await this.fetchMediaInfo(media);
+		const isChannel = (entry) => matchesChannel(entry, info);
+		if (filter.denyChannels.some(isChannel)) return block(`Videos from ${info.channel} are blocked on the mirror`);
+
+		const allowedChannel = filter.allowChannels.some(isChannel);
+		if (filter.kidsMode && !allowedChannel) return block(`Kids mode is on and ${info.channel} is not an allowed channel`);
+		if (allowedChannel) return null;
+
+		const keyword = findBlockedKeyword(filter.blockKeywords, info);
+		return keyword ? block(`Blocked because the title or tags mention "${keyword}"`) : null;
+	},
+
+	/**
+	 * Content filter for the PWA
+	 * @param {object} req - Express request (after authorize())
+	 * @returns {object} Response body: the filter in effect, its config.js and saved parts, and whether this device may edit it
+	 */
+	describeContentFilter (req) {
+		const saved = { kidsMode: this.filters.kidsMode ?? null };
+		FILTER_LISTS.forEach((key) => {
+			saved[key] = this.filters[key] || [];
+		});
+		return { ok: true, admin: this.isAdmin(req), filter: this.getContentFilter(), config: this.config.contentFilter, saved };
+	},
+
+	/**
+	 * Quiet hours in effect right now
+	 * @param {object|null} source - Who is starting a video; scheduled videos are never held back
+	 * @returns {{action: string, until: string, muted: boolean, windowed: boolean, message: string}|null} null outside quiet hours
+	 */
+	quietHoursFor (source) {
+		if (source?.via === "schedule") return null;
+
+		const now = new Date();
+		for (const window of this.config.quietHours) {
+			const end = quietWindowEnd(window, now);
+			if (!end) continue;
+
+			const { action } = window;
+			const muted = action === "limit" && window.muted;
+			const windowed = action === "limit" && window.windowed;
+			const limits = [muted && "muted", windowed && "in a window"].filter(Boolean).join(" and ") || "as usual";
+			const messages = {
+				refuse: `Quiet hours until ${window.to}, videos can't be played now`,
+				queue: `Quiet hours until ${window.to}, the video will start then`,
+				limit: `Quiet hours until ${window.to}, playing ${limits}`
+			};
+			return { action, until: end.toISOString(), muted, windowed, message: messages[action] };
+		}
+		return null;
+	},
+
+	/**
+	 * Start a video unless quiet hours refuse it or hold it until they end; during "limit" windows it starts muted and/or windowed
+	 * @param {object} media - Parsed media (or a queue/history entry)
+	 * @param {string} url - Original URL
+	 * @param {object|null} source - Who sent it
+	 * @param {string|null} title - Title if already known
+	 * @returns {{started: boolean, quiet: object|null, item?: object}} item is the held entry
+	 */
+	startVideo (media, url, source = null, title = null) {
+		const quiet = this.quietHoursFor(source);
+		if (quiet) console.log(`[MMM-ShareToMirror] ${quiet.message}`);
+
+		if (quiet?.action === "refuse") return { started: false, quiet };
+		if (quiet?.action === "queue") return { started: false, quiet, item: this.holdVideo(media, url, source, title, new Date(quiet.until)) };
+
+		this.playVideo(media, url, source, title, { muted: Boolean(quiet?.muted) });
+		if (quiet?.windowed) this.setOverlayMode({ action: "windowed" });
+		return { started: true, quiet };
+	},
+
+	/**
+	 * Keep a video back until quiet hours end
+	 * @param {object} media - Parsed media
+	 * @param {string} url - Original URL
+	 * @param {object|null} source - Who sent it
+	 * @param {string|null} title - Title if already known
+	 * @param {Date} until - End of the quiet hours
+	 * @returns {object} The held entry (same shape as a queue entry)
+	 */
+	holdVideo (media, url, source, title, until) {
+		const item = { ...this.queueEntry(media, url, source), title };
+		this.heldVideos.push(item);
+
+		if (!this.quietTimer) {
+			this.quietTimer = setTimeout(() => this.releaseHeldVideos(), Math.max(0, until - Date.now()) + 1000);
+		}
+		return item;
+	},
+
+	/**
+	 * Quiet hours are over: the first held video plays, the others join the queue
+	 */
+	releaseHeldVideos () {
+		this.quietTimer = null;
+
+		// Back-to-back windows keep holding them
+		const quiet = this.quietHoursFor(null);
+		if (quiet) {
+			this.quietTimer = setTimeout(() => this.releaseHeldVideos(), Math.max(0, Date.parse(quiet.until) - Date.now()) + 1000);
+			return;
+		}
+
+		const held = this.heldVideos.splice(0);
+		if (held.length) console.log(`[MMM-ShareToMirror] Quiet hours over, starting ${held.length} held video(s)`);
+		held.forEach((item) => this.enqueueVideo(item, item.url, item.source));
+	},
+
+	/**
+	 * Stop the video on the mirror (/api/stop, STM_STOP)
+	 * @param {string} reason - Reported back with STM_EMBEDDED_STOPPED
+	 * @returns {object} Response body
+	 */
+	stopPlayback (reason) {
+		this.state.playing = false;
+		this.sendSocketNotification("STM_STOP_EMBED", { reason });
+		return { ok: true, message: "Playback stopped" };
+	},
+
+	/**
+	 * Set or cancel the sleep timer (/api/sleep)
+	 * @param {{mode: string, minutes?: number}} request - "minutes" stops after `minutes`, "end" when the current video ends, "off" cancels
+	 * @returns {object} Response body; failures carry the HTTP `status`
+	 */
+	setSleepTimer ({ mode, minutes } = {}) {
+		if (!["minutes", "end", "off"].includes(mode)) {
+			return { status: 400, ok: false, error: "mode must be minutes, end or off" };
+		}
+		if (mode === "minutes" && !(Number.isInteger(minutes) && minutes >= 1 && minutes <= 720)) {
+			return { status: 400, ok: false, error: "minutes must be a whole number from 1 to 720" };
+		}
+		if (mode !== "off" && !this.state.playing) {
+			return { status: 409, ok: false, error: "Nothing is playing" };
+		}
+
+		this.clearSleepTimer();
+		if (mode === "minutes") {
+			this.sleepTimer = setTimeout(() => this.sleepNow(), minutes * 60000);
+			this.state.sleep = { mode, endsAt: new Date(Date.now() + minutes * 60000).toISOString() };
+		} else if (mode === "end") {
+			this.state.sleep = { mode, endsAt: null };
+		}
+
+		console.log(`[MMM-ShareToMirror] Sleep timer ${mode === "off" ? "cancelled" : mode === "end" ? "set for the end of the video" : `set for ${minutes} minutes`}`);
+		this.broadcastEvent("sleep", { sleep: this.describeSleepTimer() });
+		return { ok: true, sleep: this.describeSleepTimer() };
+	},
+
+	/**
+	 * @returns {{mode: string, endsAt: string|null, remaining: number|null}|null} The sleep timer with the seconds left
+	 *   (for "end", what is left of the video as last reported by the player), or null when none is set
+	 */
+	describeSleepTimer () {
+		const sleep = this.state.sleep;
+		if (!sleep) return null;
+
+		const { player } = this.state;
+		const remaining = sleep.mode === "minutes"
+			? Date.parse(sleep.endsAt) - Date.now()
+			: player?.duration ? (player.duration - (player.currentTime || 0)) * 1000 : null;
+		return { ...sleep, remaining: remaining === null ? null : Math.max(0, Math.round(remaining / 1000)) };
+	},
+
+	/**
+	 * Cancel the sleep timer
+	 */
+	clearSleepTimer () {
+		clearTimeout(this.sleepTimer);
+		this.sleepTimer = null;
+		this.state.sleep = null;
+	},
+
+	/**
+	 * The sleep timer ran out: stop playback, leaving the queue for later
+	 */
+	sleepNow () {
+		console.log("[MMM-ShareToMirror] Sleep timer: stopping playback");
+		this.clearSleepTimer();
+		this.stopPlayback("sleep");
+	},
+
+	/**
+	 * Validate a player command and pass it on to the mirror (/api/control, STM_CONTROL)
+	 * @param {{action: string, seconds?: number, level?: number, delta?: number, rate?: number, position?: number, percent?: number}} request - Command and its parameters
+	 * @returns {object} Response body; failures carry the HTTP `status`
+	 */
+	controlPlayback ({ action, seconds, level, delta, rate, position, percent } = {}) {
+		if (!action) {
+			return { status: 400, ok: false, error: "Action is required" };
+		}
+
+		const validActions = ["pause", "resume", "rewind", "forward", "next", "previous", "volume", "mute", "unmute", "rate", "seek"];
+		if (!validActions.includes(action)) {
+			return { status: 400, ok: false, error: "Invalid action" };
+		}
+
+		// Track skipping only makes sense inside a playlist; the queue has /api/queue/next
+		if ((action === "next" || action === "previous") && !this.state.playlist) {
+			return { status: 409, ok: false, error: "No playlist is playing" };
+		}
+
+		// For rewind/forward, validate seconds parameter
+		if ((action === "rewind" || action === "forward") && (!seconds || seconds <= 0)) {
+			return { status: 400, ok: false, error: "Valid seconds parameter required for rewind/forward" };
+		}
+
+		const params = { seconds: seconds || null };
+
+		// For volume, exactly one of an absolute level or a relative delta
+		if (action === "volume") {
+			const hasLevel = level !== undefined;
+			const hasDelta = delta !== undefined;
+
+			if (hasLevel === hasDelta) {
+				return { status: 400, ok: false, error: "Provide either level (0-100) or delta for volume" };
+			}
+			if (hasLevel && !(Number.isFinite(level) && level >= 0 && level <= 100)) {
+				return { status: 400, ok: false, error: "Volume level must be between 0 and 100" };
+			}
+			if (hasDelta && !(Number.isFinite(delta) && delta !== 0 && Math.abs(delta) <= 100)) {
+				return { status: 400, ok: false, error: "Volume delta must be between -100 and 100" };
+			}
+
+			if (hasLevel) params.level = Math.min(Math.round(level), this.config.volume.max);
+			else params.delta = Math.round(delta);
+		}
+
+		// For rate, only speeds the embedded player says it supports
+		if (action === "rate") {
+			const rates = this.getPlaybackRates();
+			if (!rates.includes(rate)) {
+				return { status: 400, ok: false, error: `Playback rate must be one of ${rates.join(", ")}`, rates };
+			}
+			params.rate = rate;
+		}
+
+		// For seek, exactly one of a position in seconds or a percentage of the duration
+		if (action === "seek") {
+			const hasPosition = position !== undefined;
+			const hasPercent = percent !== undefined;
+
+			if (hasPosition === hasPercent) {
+				return { status: 400, ok: false, error: "Provide either position (seconds) or percent for seek" };
+			}
+			if (hasPosition && !(Number.isFinite(position) && position >= 0)) {
+				return { status: 400, ok: false, error: "Seek position must be a non-negative number of seconds" };
+			}
+			if (hasPercent && !(Number.isFinite(percent) && percent >= 0 && percent <= 100)) {
+				return { status: 400, ok: false, error: "Seek percent must be between 0 and 100" };
+			}
+
+			const duration = this.state.player?.duration;
+			if (hasPosition) params.position = duration ? Math.min(position, duration) : position;
+			else params.percent = percent;
+		}
+
+		if (action === "pause" || action === "resume") this.state.paused = action === "pause";
+
+		this.sendSocketNotification("STM_VIDEO_CONTROL", { action, ...params });
+		this.broadcastEvent("control", { action, ...params });
+		return { ok: true, action, ...params };
+	},
+
+	/**
+	 * Switch the overlay between windowed and fullscreen (/api/overlay, STM_OVERLAY)
+	 * @param {{action?: string}} request - fullscreen, windowed or toggle (default)
+	 * @returns {object} Response body; failures carry the HTTP `status`
+	 */
+	setOverlayMode ({ action = "toggle" } = {}) {
+		const mode = String(action).toLowerCase();
+
+		if (!["fullscreen", "windowed", "toggle"].includes(mode)) {
+			return { status: 400, ok: false, error: "Unknown action (fullscreen, windowed, toggle)" };
+		}
+
+		// Mirror the front-end's fullscreen flag so every client sees the same mode
+		if (mode === "toggle") this.state.overlay = this.state.overlay === "fullscreen" ? "windowed" : "fullscreen";
+		else this.state.overlay = mode;
+
+		this.sendSocketNotification("STM_OVERLAY", { action: mode });
+		this.broadcastEvent("overlay", { mode: this.state.overlay });
+		return { ok: true, mode: this.state.overlay };
+	},
+
+	/**
+	 * Start playback on the mirror
+	 * @param {{provider: string, videoId: string|null, playlistId: string|null, start: number|null, end: number|null}} media - Parsed link
+	 * @param {string} url - Original URL the video was shared with
+	 * @param {object|null} source - Who sent it (see describeSource)
+	 * @param {string|null} title - Title if already known, e.g. from the queue
+	 * @param {{volume?: number|null, muted?: boolean}} options - Volume to start at instead of the current one (scheduled videos), or start muted (quiet hours)
+	 */
+	playVideo (media, url, source = null, title = null, { volume = null, muted = false } = {}) {
+		const { provider = "youtube", videoId = null, playlistId = null, hash = null, start = null, end = null } = media;
+
+		this.startHistoryEntry(media, url, source, title);
+		if (this.state.photo) this.dismissPhotos("video");
+		if (this.state.link?.mode === "page") this.dismissLink("video");
+
 		this.state.playing = true;
 		this.state.lastUrl = url;
+		this.state.lastProvider = provider;
 		this.state.lastVideoId = videoId;
+		this.state.lastPlaylistId = playlistId;
+		this.state.playlist = playlistId ? { id: playlistId, index: null, total: null } : null;
+		this.state.player = null;
+		this.state.paused = false;
+
+		this.sendSocketNotification("STM_PLAY_EMBED", {
+			provider, videoId, playlistId, hash, start, end, url,
+			...(Number.isInteger(volume) ? { volume: Math.min(volume, this.config.volume.max) } : {}),
+			...(muted ? { muted: true } : {})
+		});
+		this.broadcastEvent("play", { provider, videoId, playlistId, url });
+		console.log(`[MMM-ShareToMirror] Playing ${provider} video: ${videoId || "(first in playlist)"}${playlistId ? ` from playlist ${playlistId}` : ""}`);
+
+		if (videoId) this.loadNowPlayingInfo(media, this.historyEntry);
+	},
+
+	/**
+	 * Look up title and channel of the video that just started, for the history and the mirror's
+	 * STM_PLAYBACK_STARTED notification
+	 * @param {{provider: string, videoId: string, hash?: string|null}} media - Video now playing
+	 * @param {object|null} entry - History entry to name, unless it already has a title
+	 */
+	loadNowPlayingInfo (media, entry = null) {
+		this.fetchMediaInfo(media)
+			.then((info) => {
+				if (entry && !entry.title) {
+					entry.title = info.title;
+					if (this.history.includes(entry)) this.saveHistory();
+				}
+
+				// Skip answers for a video that is no longer on screen
+				if (!this.state.playing || this.state.lastVideoId !== media.videoId) return;
+				this.sendSocketNotification("STM_MEDIA_INFO", {
+					videoId: media.videoId,
+					title: info.title || null,
+					channel: info.channel || null,
+					duration: Number.isFinite(info.duration) ? info.duration : null,
+					thumbnail: info.thumbnail || null
+				});
+			})
+			.catch(() => {});
+	},
+
+	/**
+	 * Record the playlist position reported by the embedded player
+	 * @param {object} payload - { playlistId, index, total, videoId }
+	 */
+	updatePlaylistState (payload) {
+		if (!this.state.playlist || payload?.playlistId !== this.state.playlist.id) return;
+
+		if (Number.isInteger(payload.index)) this.state.playlist.index = payload.index;
+		if (Number.isInteger(payload.total)) this.state.playlist.total = payload.total;
+
+		// The current track changes as the playlist advances; keep video info in sync
+		if (parseYouTubeId(payload.videoId) && payload.videoId !== this.state.lastVideoId) {
+			// A sleep timer set for the end of the video also ends the playlist
+			if (this.state.lastVideoId && this.state.sleep?.mode === "end") {
+				this.sleepNow();
+				return;
+			}
+			this.state.lastVideoId = payload.videoId;
+			this.loadNowPlayingInfo({ provider: "youtube", videoId: payload.videoId });
+			this.checkPlaylistTrack(payload.videoId);
+		}
+
+		this.broadcastEvent("playlist", { playlist: this.state.playlist });
+	},
+
+	/**
+	 * Run the content filter on a track the player moved on to by itself, so a playlist can't carry
+	 * blocked videos past the check its first video passed. A blocked track makes way for the queue
+	 * @param {string} videoId - Track now playing
+	 */
+	checkPlaylistTrack (videoId) {
+		const playlistId = this.state.playlist?.id;
+		this.checkContent({ provider: "youtube", videoId, playlistId })
+			.then((blocked) => {
+				// The playlist may have moved on (or stopped) while the track's details loaded
+				if (!blocked || !this.state.playing || this.state.lastVideoId !== videoId || this.state.playlist?.id !== playlistId) return;
+				if (!this.playNext()) this.stopPlayback("blocked");
+			})
+			.catch((error) => console.warn("[MMM-ShareToMirror] Content check failed:", error.message));
+	},
+
+	/**
+	 * Record the position and state periodically reported by the embedded player
+	 * @param {object} payload - { state, currentTime, duration, volume, muted, quality, rate, rates, videoId }
+	 */
+	updatePlayerStatus (payload) {
+		// Late reports can arrive after the overlay was closed
+		if (!this.state.playing || !payload || typeof payload !== "object") return;
+
+		const number = (value) => (Number.isFinite(value) && value >= 0 ? value : null);
+		const playerStates = ["unstarted", "ended", "playing", "paused", "buffering", "cued"];
+
+		this.state.player = {
+			state: playerStates.includes(payload.state) ? payload.state : "unknown",
+			currentTime: number(payload.currentTime),
+			duration: number(payload.duration),
+			volume: number(payload.volume),
+			muted: typeof payload.muted === "boolean" ? payload.muted : null,
+			quality: typeof payload.quality === "string" ? payload.quality : null,
+			rate: Number.isFinite(payload.rate) && payload.rate > 0 ? payload.rate : null,
+			rates: Array.isArray(payload.rates) ? payload.rates.filter((r) => Number.isFinite(r) && r > 0) : null,
+			updatedAt: new Date().toISOString()
+		};
+		this.state.paused = this.state.player.state === "paused";
+		this.updateHistoryProgress(this.state.player);
+
+		this.broadcastEvent("player", { player: this.state.player });
+	},
+
+	/**
+	 * Playback speeds the mirror can use right now
+	 * @returns {number[]} Rates reported by the player, or the YouTube defaults
+	 */
+	getPlaybackRates () {
+		const reported = this.state.player?.rates;
+		return reported?.length ? reported : PLAYBACK_RATES;
+	},
+
+	/**
+	 * Write one Server-Sent Event to a connected client
+	 * @param {object} res - Express response held open by /api/events
+	 * @param {string} type - Event name
+	 * @param {object} data - JSON payload
+	 */
+	writeEvent (res, type, data) {
+		try {
+			res.write(`event: ${type}\ndata: ${JSON.stringify({ ...data, timestamp: new Date().toISOString() })}\n\n`);
+		} catch (error) {
+			console.warn("[MMM-ShareToMirror] Event stream write failed:", error.message);
+			this.eventClients.delete(res);
+		}
+	},
+
+	/**
+	 * Push a state change to every PWA listening on /api/events
+	 * @param {string} type - Event name (play, stop, control, options, overlay, queue, playlist, player, history, favorites, photo, notes, link, schedule, filters, sleep)
+	 * @param {object} data - Event specific payload; the full state is always attached
+	 */
+	broadcastEvent (type, data = {}) {
+		for (const res of this.eventClients) {
+			this.writeEvent(res, type, { ...data, state: this.state });
+		}
+	},
+
+	/**
+	 * Append a video or playlist to the play queue, starting it right away when nothing is playing
+	 * @param {{provider: string, videoId: string|null, playlistId: string|null, start: number|null, end: number|null}} media - Parsed link
+	 * @param {string} url - Original URL the video was shared with
+	 * @param {object|null} source - Who sent it (see describeSource)
+	 * @returns {{item: object|null, started: boolean, quiet: object|null}} Queue entry and whether playback started;
+	 *   no entry when quiet hours refuse videos (in other windows it waits in the queue and playNext applies them)
+	 */
+	enqueueVideo (media, url, source = null) {
+		const quiet = this.quietHoursFor(source);
+		if (quiet?.action === "refuse") {
+			console.log(`[MMM-ShareToMirror] ${quiet.message}`);
+			return { item: null, started: false, quiet };
+		}
+
+		const item = this.queueEntry(media, url, source);
+		const { videoId, playlistId } = item;
+
+		this.state.queue.push(item);
+		console.log(`[MMM-ShareToMirror] Queued ${videoId || playlistId} (${this.state.queue.length} in queue)`);
+
+		// Resolve a title in the background so the PWA can show something readable
+		if (videoId) {
+			this.fetchMediaInfo(item)
+				.then((info) => {
+					item.title = info.title;
+					if (this.state.queue.includes(item)) this.broadcastEvent("queue");
+				})
+				.catch(() => {});
+		}
+
+		if (!this.state.playing) {
+			return { item, started: Boolean(this.playNext()), quiet };
+		}
+
+		this.broadcastEvent("queue");
+		return { item, started: false, quiet };
+	},
+
+	/**
+	 * @param {object} media - Parsed media
+	 * @param {string} url - Original URL
+	 * @param {object|null} source - Who sent it
+	 * @returns {object} A new queue entry (title is resolved later)
+	 */
+	queueEntry (media, url, source) {
+		const { provider = "youtube", videoId = null, playlistId = null, hash = null, start = null, end = null } = media;
+		return {
+			id: crypto.randomUUID(),
+			provider,
+			videoId,
+			playlistId,
+			hash,
+			start,
+			end,
+			url: url || null,
+			title: null,
+			source,
+			addedAt: new Date().toISOString()
+		};
+	},
+
+	/**
+	 * Play the next queued video, applying quiet hours that began after it was queued:
+	 * "refuse" and "queue" windows hold it until they end (it was accepted before), "limit" windows mute and/or shrink it
+	 * @returns {object|null} The entry now playing, or null if the queue was empty or everything in it is held
+	 */
+	playNext () {
+		let held = 0;
+		let item;
+		while ((item = this.state.queue.shift())) {
+			const quiet = this.quietHoursFor(item.source);
+			if (quiet?.action === "refuse" || quiet?.action === "queue") {
+				this.holdVideo(item, item.url, item.source, item.title, new Date(quiet.until));
+				held++;
+				continue;
+			}
+
+			this.playVideo(item, item.url, item.source, item.title, { muted: Boolean(quiet?.muted) });
+			if (quiet?.windowed) this.setOverlayMode({ action: "windowed" });
+			break;
+		}
+
+		if (held) {
+			console.log(`[MMM-ShareToMirror] Quiet hours: holding ${held} queued video(s) until they end`);
+			this.broadcastEvent("queue");
+		}
+		return item || null;
+	},
+
+	/**
+	 * The embedded player reached the end of the video: advance the queue or close the overlay
+	 */
+	handleVideoEnded () {
+		if (this.state.sleep?.mode === "end") {
+			this.sleepNow();
+			return;
+		}
+		if (this.playNext()) return;
+		this.sendSocketNotification("STM_STOP_EMBED", { reason: "ended" });
+	},
+
+	/**
+	 * Add a history entry for a video that starts playing, closing the previous one
+	 * @param {{provider: string, videoId: string|null, playlistId: string|null}} media - What is playing
+	 * @param {string} url - Original URL
+	 * @param {object|null} source - Who sent it
+	 * @param {string|null} title - Title if already known
+	 */
+	startHistoryEntry (media, url, source, title) {
+		this.finishHistoryEntry();
+		if (!this.config?.history.enabled) return;
+
+		const entry = {
+			id: crypto.randomUUID(),
+			provider: media.provider || "youtube",
+			videoId: media.videoId || null,
+			playlistId: media.playlistId || null,
+			url: url || null,
+			title: title || null,
+			source: source || null,
+			startedAt: new Date().toISOString(),
+			endedAt: null,
+			watched: 0,
+			duration: null
+		};
+
+		this.history.unshift(entry);
+		this.history.length = Math.min(this.history.length, this.config.history.limit);
+		this.historyEntry = entry;
+		this.saveHistory();
+	},
+
+	/**
+	 * Track how far the current history entry was watched
+	 * @param {object} player - Latest player status
+	 */
+	updateHistoryProgress (player) {
+		const entry = this.historyEntry;
+		if (!entry) return;
+
+		if (player.currentTime !== null) entry.watched = Math.max(entry.watched, Math.round(player.currentTime));
+		if (player.duration) entry.duration = Math.round(player.duration);
+
+		// Progress changes every report; only hit the disk twice a minute
+		if (Date.now() - this.historySavedAt > 30000) this.saveHistory(false);
+	},
+
+	/**
+	 * Mark the current history entry as finished
+	 */
+	finishHistoryEntry () {
+		if (!this.historyEntry) return;
+
+		this.historyEntry.endedAt = new Date().toISOString();
+		this.historyEntry = null;
+		this.saveHistory();
+	},
+
+	/**
+	 * Persist the history and tell the PWAs about it
+	 * @param {boolean} notify - Broadcast a "history" event
+	 */
+	saveHistory (notify = true) {
+		this.historySavedAt = Date.now();
+		if (this.config?.history.enabled) this.writeData("history", this.history);
+		if (notify) this.broadcastEvent("history", { total: this.history.length });
+	},
+
+	/**
+	 * Start a slideshow of freshly uploaded photos, replacing any previous one
+	 * @param {object[]} files - Files stored by multer
+	 * @param {object|null} source - Who sent them (see describeSource)
+	 * @param {string} [fit] - contain (whole photo) or cover (fill the overlay)
+	 */
+	showPhotos (files, source, fit = this.config.photos.fit) {
+		this.removePhotoFiles(this.photos);
+		this.photos = files.map((file) => ({
+			id: crypto.randomUUID(),
+			file: file.path,
+			type: file.mimetype,
+			name: file.originalname || "photo",
+			size: file.size,
+			source,
+			addedAt: new Date().toISOString()
+		}));
+
+		// Photos share the overlay with the video player and shown pages
+		if (this.state.playing) this.sendSocketNotification("STM_STOP_EMBED", { reason: "photo" });
+		if (this.state.link?.mode === "page") this.dismissLink("photo");
+
+		console.log(`[MMM-ShareToMirror] Showing ${this.photos.length} photo(s)`);
+		this.showPhoto(0, fit);
+	},
+
+	/**
+	 * Show one photo of the slideshow, restarting the auto-dismiss timer
+	 * @param {number} index - Position in the slideshow
+	 * @param {string} [fit] - Defaults to the current fit
+	 */
+	showPhoto (index, fit = this.state.photo?.fit || this.config.photos.fit) {
+		const photo = this.photos[index];
+		const duration = this.config.photos.duration;
+
+		clearTimeout(this.photoTimer);
+		this.photoTimer = duration > 0 ? setTimeout(() => this.dismissPhotos("timeout"), duration * 1000) : null;
+
+		this.state.photo = {
+			...this.describePhoto(photo),
+			index,
+			total: this.photos.length,
+			fit,
+			dismissAt: duration > 0 ? new Date(Date.now() + duration * 1000).toISOString() : null
+		};
+
+		this.sendSocketNotification("STM_SHOW_PHOTO", this.state.photo);
+		this.broadcastEvent("photo", { photo: this.state.photo });
+	},
+
+	/**
+	 * Close the slideshow and delete its files
+	 * @param {string} reason - Why it closed (api, timeout, video, escape, ...)
+	 */
+	dismissPhotos (reason) {
+		clearTimeout(this.photoTimer);
+		this.photoTimer = null;
+		this.removePhotoFiles(this.photos);
+		this.photos = [];
+
+		if (!this.state.photo) return;
+		this.state.photo = null;
+		this.sendSocketNotification("STM_HIDE_PHOTO", { reason });
+		this.broadcastEvent("photo", { reason });
+	},
+
+	/**
+	 * @param {object} photo - Slideshow entry
+	 * @returns {object} Public view of the photo (no file path)
+	 */
+	describePhoto (photo) {
+		const { id, name, type, size, addedAt } = photo;
+		return { id, name, type, size, addedAt, url: `/photos/${id}` };
+	},
+
+	/**
+	 * Delete photo files from the temporary directory
+	 * @param {object[]} photos - multer files or slideshow entries (anything with a file path)
+	 */
+	removePhotoFiles (photos) {
+		for (const photo of photos) {
+			fs.rm(photo.path || photo.file, { force: true }, () => {});
+		}
+	},
+
+	/**
+	 * Refuse links to this machine or the local network, so the mirror can't be used to read internal pages
+	 * @param {string} url - http(s) address
+	 * @returns {Promise<string|null>} Why the link is refused, or null when it may be shown
+	 */
+	async checkLinkUrl (url) {
+		let hostname;
+		try {
+			hostname = new URL(url).hostname;
+		} catch {
+			return "Invalid link";
+		}
+		if (isPrivateHost(hostname)) return PRIVATE_LINK_ERROR;
+
+		try {
+			const addresses = await dns.promises.lookup(hostname.replace(/^\[|\]$/g, ""), { all: true });
+			if (addresses.some((entry) => isPrivateAddress(entry.address))) return PRIVATE_LINK_ERROR;
+		} catch {
+			// Unknown hosts still get a card with their address
+		}
+		return null;
+	},
+
+	/**
+	 * Show a preview card for a shared web link, built from the page's Open Graph tags
+	 * Pages that cannot be fetched still get a card with their address and QR code.
+	 * @param {string} url - http(s) address
+	 * @param {string} mode - card, or page to show the page itself (falls back to card when the site forbids framing)
+	 * @param {object|null} source - Who sent it (see describeSource)
+	 * @returns {Promise<object|null>} The link on screen, or null when another link replaced it meanwhile
+	 */
+	async showLink (url, mode = "card", source = null) {
+		const request = {};
+		this.linkRequest = request;
+
+		let page = null;
+		try {
+			page = await this.fetchPage(url, {}, 3, true);
+		} catch (error) {
+			console.warn(`[MMM-ShareToMirror] Link preview unavailable for ${url}: ${error.message}`);
+		}
+
+		const meta = page ? parseOpenGraph(page.html, page.url) : {};
+		// The mirror's browser loads the preview image itself, so it gets the same local network check as the link
+		if (meta.image && await this.checkLinkUrl(meta.image)) {
+			console.warn(`[MMM-ShareToMirror] Skipping preview image on a local network address: ${meta.image}`);
+			meta.image = null;
+		}
+
+		let qr = null;
+		try {
+			qr = await QRCode.toDataURL(url, { margin: 1, width: 320 });
+		} catch (error) {
+			console.error("[MMM-ShareToMirror] QR code generation failed:", error);
+		}
+
+		if (this.linkRequest !== request) return null;
+		this.linkRequest = null;
+
+		const host = new URL(url).hostname.replace(/^www\./, "");
+		this.link = {
+			url,
+			title: meta.title || host,
+			description: meta.description || null,
+			image: meta.image || null,
+			siteName: meta.siteName || host,
+			embeddable: page ? allowsFraming(page.headers) : false,
+			qr,
+			source,
+			sharedAt: new Date().toISOString()
+		};
+
+		console.log(`[MMM-ShareToMirror] Showing link: ${url}`);
+		this.presentLink(mode);
+		return this.state.link;
+	},
+
+	/**
+	 * Show the current link as a card or as the page itself, restarting the auto-dismiss timer
+	 * @param {string} mode - card or page
+	 */
+	presentLink (mode) {
+		const link = this.link;
+		const duration = this.config.links.duration;
+		const shown = mode === "page" && link.embeddable && this.config.links.pages ? "page" : "card";
+
+		// A page takes the overlay, like videos and photos
+		if (shown === "page") {
+			if (this.state.playing) this.sendSocketNotification("STM_STOP_EMBED", { reason: "link" });
+			if (this.state.photo) this.dismissPhotos("link");
+		}
+
+		clearTimeout(this.linkTimer);
+		this.linkTimer = duration > 0 ? setTimeout(() => this.dismissLink("timeout"), duration * 1000) : null;
+
+		const { url, title, description, image, siteName, embeddable, sharedAt } = link;
+		this.state.link = {
+			url, title, description, image, siteName, embeddable, sharedAt,
+			mode: shown,
+			dismissAt: duration > 0 ? new Date(Date.now() + duration * 1000).toISOString() : null
+		};
+
+		// The QR code stays out of the state; it would ride along with every event
+		this.sendSocketNotification("STM_SHOW_LINK", { ...this.state.link, qr: link.qr });
+		this.broadcastEvent("link", { link: this.state.link });
+	},
+
+	/**
+	 * Take the link off the mirror (also cancels a preview still being fetched)
+	 * @param {string} reason - Why it closed (api, timeout, video, photo, escape, ...)
+	 */
+	dismissLink (reason) {
+		clearTimeout(this.linkTimer);
+		this.linkTimer = null;
+		this.linkRequest = null;
+		this.link = null;
+
+		if (!this.state.link) return;
+		this.state.link = null;
+		this.sendSocketNotification("STM_HIDE_LINK", { reason });
+		this.broadcastEvent("link", { reason });
+	},
+
+	/**
+	 * Read the schedule (rules from config.js first, then the ones added through the API) and start checking it
+	 */
+	loadSchedule () {
+		const rules = [];
+		this.config.schedule.forEach((input, index) => {
+			const { fields, error } = this.scheduleFields(input);
+			if (error) {
+				console.warn(`[MMM-ShareToMirror] Ignoring schedule rule ${index + 1} from config: ${error}`);
+				return;
+			}
+			rules.push({ id: `config-${index + 1}`, ...fields, source: "config", createdAt: null, lastRunAt: null });
+		});
+
+		this.schedule = [...rules, ...this.readData("schedule", [])];
+		this.scheduleTick();
+	},
+
+	/**
+	 * Validate schedule rule fields from the API or config.js
+	 * @param {object} body - Rule fields; on update only the ones to change
+	 * @param {object|null} current - Rule being updated
+	 * @returns {{fields?: object, error?: string}} Complete rule fields, or what is wrong
+	 */
+	scheduleFields (body, current = null) {
+		if (!body || typeof body !== "object") return { error: "Schedule rule must be an object" };
+
+		const fields = current ? {} : { title: null, cron: null, time: null, days: [], months: [], date: null, volume: null, overlay: null, enabled: true };
+		const text = (key, max) => {
+			if (body[key] === undefined) return null;
+			if (body[key] !== null && typeof body[key] !== "string") return `${key} must be a string`;
+			fields[key] = body[key]?.trim().slice(0, max) || null;
+			return null;
+		};
+
+		if (body.url !== undefined || !current) {
+			if (!this.parseMediaUrl(body.url)) return { error: this.unsupportedUrlError() };
+			fields.url = body.url.trim();
+		}
+		const textError = text("title", 100) || text("cron", 100) || text("time", 5) || text("date", 10);
+		if (textError) return { error: textError };
+
+		if (body.days !== undefined) {
+			if (!Array.isArray(body.days) || body.days.some((day) => !WEEKDAYS.includes(String(day).toLowerCase()))) {
+				return { error: `days must list weekdays (${WEEKDAYS.join(", ")})` };
+			}
+			fields.days = WEEKDAYS.filter((day) => body.days.some((entry) => entry.toLowerCase() === day));
+		}
+		if (body.months !== undefined) {
+			if (!Array.isArray(body.months) || body.months.some((month) => !Number.isInteger(month) || month < 1 || month > 12)) {
+				return { error: "months must list month numbers (1-12)" };
+			}
+			fields.months = [...new Set(body.months)].sort((a, b) => a - b);
+		}
+		if (body.volume !== undefined) {
+			if (body.volume !== null && !(Number.isInteger(body.volume) && body.volume >= 0 && body.volume <= 100)) {
+				return { error: "volume must be 0-100 (or null to keep the current volume)" };
+			}
+			fields.volume = body.volume;
+		}
+		if (body.overlay !== undefined) {
+			if (![null, "fullscreen", "windowed"].includes(body.overlay)) return { error: "overlay must be fullscreen, windowed or null" };
+			fields.overlay = body.overlay;
+		}
+		if (body.enabled !== undefined) fields.enabled = parseBoolean(body.enabled);
+
+		// Check the rule as a whole
+		const rule = { ...current, ...fields };
+		if (Boolean(rule.cron) === Boolean(rule.time)) return { error: "Give either a cron expression or a time (HH:MM)" };
+		if (rule.cron && (rule.days.length || rule.months.length || rule.date)) {
+			return { error: "days, months and date only apply to rules with a time" };
+		}
+		if (rule.date) {
+			// Date.parse() rolls impossible days over (2026-02-31 is March 3rd), so compare the parts back
+			const [year, month, day] = (rule.date.match(/^(\d{4})-(\d{2})-(\d{2})$/) || []).slice(1).map(Number);
+			const date = new Date(year, month - 1, day);
+			if (!year || date.getFullYear() !== year || date.getMonth() !== month - 1 || date.getDate() !== day) {
+				return { error: "date must be a real day (YYYY-MM-DD)" };
+			}
+		}
+		const compiled = compileSchedule(rule);
+		if (!compiled) return { error: rule.cron ? "Invalid cron expression" : "time must be HH:MM (24-hour)" };
+		// A rule that can't fire (a date already past, a cron day that never comes) would sit in the list doing nothing
+		if (rule.enabled && !nextScheduleRun(compiled)) return { error: "This rule would never run; check its date and time" };
 
-		this.sendSocketNotification("STM_PLAY_EMBED", { videoId, url });
-		console.log(`[MMM-ShareToMirror] Playing video: ${videoId}`);
+		return { fields };
+	},
+
+	/**
+	 * @param {object} rule - Schedule rule
+	 * @returns {object} The rule plus its next run (null when disabled or never)
+	 */
+	describeScheduleRule (rule) {
+		const next = rule.enabled ? nextScheduleRun(compileSchedule(rule)) : null;
+		return { ...rule, nextRun: next ? next.toISOString() : null };
+	},
+
+	/**
+	 * Check the schedule right after every minute starts
+	 */
+	scheduleTick () {
+		clearTimeout(this.scheduleTimer);
+		this.scheduleTimer = setTimeout(() => {
+			this.runSchedule(new Date());
+			this.scheduleTick();
+		}, 60000 - (Date.now() % 60000) + 200);
+	},
+
+	/**
+	 * Start the videos due this minute; if several are due, the first plays and the others are queued
+	 * @param {Date} now - Time of the check
+	 */
+	async runSchedule (now) {
+		const minute = new Date(now.getFullYear(), now.getMonth(), now.getDate(), now.getHours(), now.getMinutes());
+		const due = this.schedule.filter((rule) => rule.enabled
+			&& !(rule.lastRunAt && new Date(rule.lastRunAt) >= minute)
+			&& nextScheduleRun(compileSchedule(rule), new Date(minute - 1))?.getTime() === minute.getTime());
+
+		if (!due.length) return;
+
+		due.forEach((rule) => {
+			rule.lastRunAt = now.toISOString();
+			// Rules for a single date only fire once
+			if (rule.date) rule.enabled = false;
+		});
+		this.saveSchedule();
+
+		let started = false;
+		for (const rule of due) {
+			const media = this.parseMediaUrl(rule.url);
+			if (!media) {
+				console.warn(`[MMM-ShareToMirror] Scheduled video skipped, its provider is not enabled: ${rule.url}`);
+				continue;
+			}
+			// The content filter applies to rules added by anyone paired
+			if (await this.checkContent(media)) continue;
+
+			const source = { via: "schedule", device: rule.title, address: null };
+			console.log(`[MMM-ShareToMirror] Schedule "${rule.title || rule.url}" started`);
+			if (started) {
+				this.enqueueVideo(media, rule.url, source);
+				continue;
+			}
+			started = true;
+			this.playVideo(media, rule.url, source, null, { volume: rule.volume });
+			if (rule.overlay) this.setOverlayMode({ action: rule.overlay });
+		}
+	},
+
+	/**
+	 * Persist the rules added through the API and tell the PWAs
+	 */
+	saveSchedule () {
+		this.writeData("schedule", this.schedule.filter((rule) => rule.source !== "config"));
+		this.broadcastEvent("schedule", { total: this.schedule.length });
+	},
+
+	/**
+	 * Put a note on the mirror, dropping the oldest beyond notes.limit
+	 * @param {{text: string, sender?: string|null, expiresIn?: number}} fields - Validated note content; expiresIn in seconds, 0 = until dismissed
+	 * @param {object|null} source - Who sent it (see describeSource); the paired device name is the default sender
+	 * @returns {object} The new note
+	 */
+	addNote ({ text, sender = null, expiresIn = this.config.notes.duration }, source = null) {
+		const note = {
+			id: crypto.randomUUID(),
+			text,
+			sender: sender?.trim().slice(0, 40) || source?.device || null,
+			source,
+			createdAt: new Date().toISOString(),
+			expiresAt: expiresIn > 0 ? new Date(Date.now() + expiresIn * 1000).toISOString() : null
+		};
+
+		this.notes.push(note);
+		this.notes.splice(0, Math.max(0, this.notes.length - this.config.notes.limit));
+		console.log(`[MMM-ShareToMirror] Note added${note.sender ? ` by ${note.sender}` : ""} (${this.notes.length} on screen)`);
+		this.saveNotes();
+		return note;
+	},
+
+	/**
+	 * Drop expired notes and wait for the next one to expire
+	 */
+	expireNotes () {
+		const now = Date.now();
+		const active = this.notes.filter((note) => !note.expiresAt || Date.parse(note.expiresAt) > now);
+
+		if (active.length !== this.notes.length) {
+			this.notes = active;
+			this.saveNotes();
+			return;
+		}
+		this.scheduleNoteExpiry();
+	},
+
+	/**
+	 * Arm a single timer for the note that expires first
+	 */
+	scheduleNoteExpiry () {
+		clearTimeout(this.noteTimer);
+		const next = Math.min(...this.notes.filter((note) => note.expiresAt).map((note) => Date.parse(note.expiresAt)));
+		this.noteTimer = Number.isFinite(next) ? setTimeout(() => this.expireNotes(), Math.max(0, next - Date.now()) + 100) : null;
+	},
+
+	/**
+	 * Persist the notes, show them on the mirror and tell the PWAs about them
+	 */
+	saveNotes () {
+		this.writeData("notes", this.notes);
+		this.sendSocketNotification("STM_NOTES", { notes: this.notes });
+		this.broadcastEvent("notes", { total: this.notes.length });
+		this.scheduleNoteExpiry();
+	},
+
+	/**
+	 * Persist the favorites and tell the PWAs about them
+	 */
+	saveFavorites () {
+		this.writeData("favorites", this.favorites);
+		this.broadcastEvent("favorites", { total: this.favorites.length });
+	},
+
+	/**
+	 * Address phones should open: `qrCode.url` if set, otherwise the first LAN IPv4 address
+	 * @returns {string} PWA URL
+	 */
+	getServerUrl () {
+		if (this.config.qrCode.url) return this.config.qrCode.url;
+
+		const protocol = this.config.https?.enabled ? "https" : "http";
+		const addresses = Object.values(os.networkInterfaces()).flat()
+			.filter((entry) => entry && entry.family === "IPv4" && !entry.internal);
+		const host = addresses[0]?.address || "localhost";
+
+		return `${protocol}://${host}:${this.config.port}/`;
+	},
+
+	/**
+	 * Render the PWA URL as a QR code locally and show it on the mirror
+	 * @param {number} duration - Seconds to keep it on screen (0 = until hidden)
+	 */
+	async showQrCode (duration) {
+		const url = this.getServerUrl();
+
+		try {
+			const image = await QRCode.toDataURL(url, { margin: 1, width: 320 });
+			this.sendSocketNotification("STM_SHOW_QR", { image, url, duration });
+			console.log(`[MMM-ShareToMirror] Showing QR code for ${url}`);
+		} catch (error) {
+			console.error("[MMM-ShareToMirror] QR code generation failed:", error);
+		}
+	},
+
+	/**
+	 * Whether a phone has ever reached this mirror (a paired device when pairing is on)
+	 */
+	hasConnectedDevice () {
+		return this.config.auth?.enabled ? this.devices.length > 0 : Boolean(this.connection.firstConnectedAt);
+	},
+
+	/**
+	 * A phone reached the mirror (or paired): remember it and drop the welcome QR code
+	 */
+	markConnected () {
+		if (!this.connection.firstConnectedAt) {
+			this.connection.firstConnectedAt = new Date().toISOString();
+			this.writeData("connection", this.connection);
+		}
+
+		if (this.config.qrCode.autoShow && this.hasConnectedDevice()) {
+			this.sendSocketNotification("STM_HIDE_QR", {});
+		}
+	},
+
+	/**
+	 * Read a JSON document from the data directory
+	 * @param {string} name - Document name (file is `<name>.json`)
+	 * @param {*} fallback - Value returned when the file is missing or unreadable
+	 */
+	readData (name, fallback) {
+		const file = path.join(this.dataPath, `${name}.json`);
+
+		try {
+			return JSON.parse(fs.readFileSync(file, "utf8"));
+		} catch (error) {
+			if (error.code !== "ENOENT") {
+				console.warn(`[MMM-ShareToMirror] Could not read ${file}:`, error.message);
+			}
+			return fallback;
+		}
+	},
+
+	/**
+	 * Atomically write a JSON document to the data directory
+	 * @param {string} name - Document name (file is `<name>.json`)
+	 * @param {*} data - JSON-serializable value
+	 */
+	writeData (name, data) {
+		const file = path.join(this.dataPath, `${name}.json`);
+
+		try {
+			fs.mkdirSync(this.dataPath, { recursive: true });
+			fs.writeFileSync(`${file}.tmp`, JSON.stringify(data, null, 2));
+			fs.renameSync(`${file}.tmp`, file);
+		} catch (error) {
+			console.error(`[MMM-ShareToMirror] Could not write ${file}:`, error.message);
+		}
 	},
 
 	createHttpServer (app, port) {
@@ -770,6 +3546,16 @@ module.exports = NodeHelper.create({
 
 	stop () {
 		console.log("[MMM-ShareToMirror] Node helper stopping...");
+		for (const res of this.eventClients) res.end();
+		this.eventClients.clear();
+		clearTimeout(this.pairing?.timer);
+		clearTimeout(this.photoTimer);
+		clearTimeout(this.noteTimer);
+		clearTimeout(this.linkTimer);
+		clearTimeout(this.scheduleTimer);
+		clearTimeout(this.quietTimer);
+		clearTimeout(this.sleepTimer);
+		fs.rmSync(this.photoDir, { recursive: true, force: true });
 		if (this.server) {
 			this.server.close(() => console.log("[MMM-ShareToMirror] Server closed"));
 			this.server = null;
@@ -0,0 +1,93 @@
+/**
+ * Direct video file provider for MMM-ShareToMirror
+ * Accepts plain http(s) links to video files (.mp4, .webm, ...) and HLS/DASH manifests (.m3u8, .mpd),
+ * e.g. security camera streams or media served from a NAS. The link itself is used as the video ID.
+ */
+
+const { parseTimestamp } = require("./youtube");
+
+const EXTENSIONS = ["mp4", "m4v", "webm", "ogv", "mov", "m3u8", "mpd"];
+const MAX_URL_LENGTH = 2048;
+
+/**
+ * Parse a shared link to a video file or stream manifest
+ * Start/end offsets use the media fragment syntax: #t=90 or #t=1m30s,2m
+ * @param input
+ * @returns {{provider: string, videoId: string, hash: null, playlistId: null, start: number|null, end: number|null}|null}
+ *   null when the input does not contain a link to a supported file
+ */
+function parseFileUrl (input) {
+	if (!input || typeof input !== "string") return null;
+
+	// Shared text may wrap the link in a sentence
+	const found = input.trim().match(/https?:\/\/[^\s"'<>]+/i);
+	if (!found || found[0].length > MAX_URL_LENGTH) return null;
+
+	let url;
+	try {
+		url = new URL(found[0]);
+	} catch {
+		return null;
+	}
+
+	const extension = url.pathname.split(".").pop().toLowerCase();
+	if (!url.pathname.includes(".") || !EXTENSIONS.includes(extension)) return null;
+
+	const time = url.hash.match(/[#&]t=([^&,]*)(?:,([^&]+))?/i);
+	const start = time ? parseTimestamp(time[1]) : null;
+	const end = time ? parseTimestamp(time[2]) : null;
+	url.hash = "";
+
+	return {
+		provider: "file",
+		videoId: url.href,
+		hash: null,
+		playlistId: null,
+		start: start > 0 ? start : null,
+		end: end > 0 && end > start ? end : null
+	};
+}
+
+/**
+ * Video info built from the link alone (files carry no metadata we can fetch cheaply)
+ * @param {{videoId: string}} media - Parsed file link
+ */
+function fallbackInfo (media) {
+	let url = null;
+	let fileName = "";
+	try {
+		url = new URL(media.videoId);
+		fileName = url.pathname.split("/").pop() || "";
+		fileName = decodeURIComponent(fileName);
+	} catch {
+		// keep whatever could be read from the link
+	}
+	const stream = /\.(m3u8|mpd)$/i.test(url?.pathname || "");
+
+	return {
+		title: fileName || "Video File",
+		channel: url?.hostname || "Video File",
+		thumbnail: null,
+		url: media.videoId,
+		description: stream ? "Live or adaptive stream" : "Direct video file",
+		duration: null,
+		views: null,
+		likes: null,
+		publishedAt: null,
+		category: null,
+		tags: [],
+		quality: "Auto",
+		language: "en",
+		captions: []
+	};
+}
+
+module.exports = {
+	name: "file",
+	label: "Video files (.mp4, .webm, .m3u8, .mpd)",
+	idPattern: /^https?:\/\/\S+$/i,
+	csp: {},
+	parse: parseFileUrl,
+	fetchInfo: async (media) => fallbackInfo(media),
+	fallbackInfo
+};
@@ -0,0 +1,139 @@
+/* global shaka */
+
+/**
+ * Direct video file adapter for MMM-ShareToMirror (runs in the MagicMirror² front-end)
+ * Implements the adapter interface described in youtube.player.js on top of a native <video> element.
+ * Plain files play natively; HLS (.m3u8) and DASH (.mpd) manifests go through shaka-player,
+ * which is only loaded the first time a stream is shared.
+ */
+(function () {
+  const RATES = [0.25, 0.5, 0.75, 1, 1.25, 1.5, 1.75, 2];
+  // MagicMirror² serves the whole module folder, node_modules included
+  const SHAKA_SRC = new URL("../node_modules/shaka-player/dist/shaka-player.compiled.js", document.currentScript?.src || location.href).href;
+  let loading = null;
+
+  const isManifest = (src) => /\.(m3u8|mpd)(?:$|\?)/i.test(src || "");
+
+  function load (media) {
+    if (!isManifest(media?.videoId) || window.shaka?.Player) return Promise.resolve();
+    if (loading) return loading;
+    loading = new Promise((resolve, reject) => {
+      const s = document.createElement("script");
+      s.src = SHAKA_SRC;
+      s.onload = () => { shaka.polyfill.installAll(); resolve(); };
+      s.onerror = () => { loading = null; reject(new Error("Failed to load stream player (shaka-player)")); };
+      document.head.appendChild(s);
+    });
+    return loading;
+  }
+
+  function create (host, media, settings, events) {
+    const { videoId: src, start, end } = media;
+    const video = document.createElement("video");
+    video.autoplay = true;
+    video.playsInline = true;
+    video.style.cssText = "width:100%;height:100%;background:#000;object-fit:contain";
+    host.appendChild(video);
+
+    let state = "unstarted";
+    let failed = false;
+    let stream = null;
+
+    const setState = (next) => { if (next !== state) { state = next; events.onState?.(next); } };
+    // Native and shaka errors can both fire for one failure; the overlay only needs to hear it once
+    const fail = (error) => { if (!failed) { failed = true; events.onError?.(error); } };
+    const finish = () => { if (state !== "ended") { setState("ended"); events.onEnded?.(); } };
+
+    const applyOptions = ({ caption, quality }) => {
+      if (stream) {
+        stream.setTextTrackVisibility(caption.enabled);
+        if (caption.enabled) stream.selectTextLanguage(caption.lang);
+        // Cap adaptive bitrate selection at the requested height
+        stream.configure("abr.restrictions.maxHeight", quality.target === "auto" ? Infinity : parseInt(quality.target));
+        return;
+      }
+      for (const track of video.textTracks) {
+        track.mode = caption.enabled && track.language.startsWith(caption.lang) ? "showing" : "disabled";
+      }
+    };
+
+    const setVolume = (level, muted) => {
+      video.volume = level / 100;
+      video.muted = Boolean(muted);
+    };
+
+    const setRate = (rate) => {
+      const applied = RATES.includes(rate) ? rate : 1;
+      if (applied !== rate) Log.warn(`MMM-ShareToMirror: Playback rate ${rate} not available, using 1`);
+      // defaultPlaybackRate survives the reset a new source causes
+      video.defaultPlaybackRate = applied;
+      video.playbackRate = applied;
+      return Promise.resolve(applied);
+    };
+
+    video.addEventListener("loadedmetadata", () => {
+      if (!stream && start > 0) video.currentTime = start;
+      applyOptions(settings);
+      events.onReady?.();
+    });
+    video.addEventListener("playing", () => setState("playing"));
+    video.addEventListener("pause", () => { if (state !== "ended") setState("paused"); });
+    video.addEventListener("waiting", () => setState("buffering"));
+    video.addEventListener("ended", finish);
+    video.addEventListener("timeupdate", () => {
+      // Honor end offsets from #t=start,end
+      if (end > 0 && video.currentTime >= end) { video.pause(); finish(); }
+    });
+    video.addEventListener("error", () => {
+      if (!stream) fail(video.error?.message || `Media error ${video.error?.code ?? ""}`.trim());
+    });
+
+    setVolume(settings.volume, settings.muted);
+    setRate(settings.rate);
+
+    if (isManifest(src)) {
+      stream = new shaka.Player();
+      stream.addEventListener("error", (ev) => fail(`Stream error ${ev.detail?.code ?? ""}`.trim()));
+      stream.attach(video)
+        .then(() => stream.load(src, start > 0 ? start : null))
+        .catch((e) => fail(e?.message || `Stream error ${e?.code ?? ""}`.trim()));
+    } else {
+      video.src = src;
+    }
+
+    return {
+      play: () => video.play().catch((e) => Log.warn("MMM-ShareToMirror: Video play error:", e?.message || e)),
+      pause: () => video.pause(),
+      stop: () => {
+        video.pause();
+        if (stream) stream.unload().catch(() => {});
+        else { video.removeAttribute("src"); video.load(); }
+      },
+      destroy: () => {
+        if (stream) stream.destroy().catch(() => {});
+        video.remove();
+      },
+      seek: (seconds) => { video.currentTime = seconds; },
+      next: () => {},
+      previous: () => {},
+      setVolume,
+      setRate,
+      applyOptions: (options) => { Object.assign(settings, options); applyOptions(settings); },
+      getStatus: () => Promise.resolve({
+        state,
+        currentTime: video.currentTime || 0,
+        // Live streams report an infinite duration
+        duration: Number.isFinite(video.duration) ? video.duration : 0,
+        volume: Math.round(video.volume * 100),
+        muted: video.muted,
+        quality: video.videoHeight ? `${video.videoHeight}p` : null,
+        rate: video.playbackRate,
+        rates: RATES,
+        videoId: src
+      })
+    };
+  }
+
+  window.ShareToMirrorPlayers = window.ShareToMirrorPlayers || {};
+  window.ShareToMirrorPlayers.file = { load, create };
+})();
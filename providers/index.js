@@ -0,0 +1,38 @@
+/**
+ * Video provider registry for MMM-ShareToMirror
+ *
+ * A provider is a CommonJS module exporting:
+ *   name         - Identifier used in config.providers and in media objects ("youtube")
+ *   label        - Human readable name ("YouTube")
+ *   idPattern    - RegExp a bare video ID must match (used by /api/video-info)
+ *   csp          - Extra Content-Security-Policy sources, e.g. { "frame-src": ["https://..."] }
+ *   parse(url)   - Returns a media object { provider, videoId, playlistId, start, end, ... } or null
+ *   fetchInfo(media, helper)    - Resolves to video info (title, channel, thumbnail, duration, ...)
+ *   fallbackInfo(media, helper) - Video info to use when fetchInfo fails
+ *
+ * Each provider also ships a front-end player adapter in `<name>.player.js`
+ * (see youtube.player.js for the adapter interface).
+ */
+
+const youtube = require("./youtube");
+const vimeo = require("./vimeo");
+const file = require("./file");
+
+const PROVIDERS = { youtube, vimeo, file };
+
+/**
+ * Look up the enabled providers, in the configured order (first match wins when parsing)
+ * @param {string[]} names - Provider names from config.providers
+ * @returns {object[]} Provider modules; unknown names are skipped with a warning
+ */
+function loadProviders (names) {
+	return names
+		.filter((name) => {
+			if (PROVIDERS[name]) return true;
+			console.warn(`[MMM-ShareToMirror] Unknown provider "${name}", ignoring`);
+			return false;
+		})
+		.map((name) => PROVIDERS[name]);
+}
+
+module.exports = { PROVIDERS, loadProviders };
@@ -0,0 +1,111 @@
+/**
+ * Vimeo provider for MMM-ShareToMirror
+ * Parses public and unlisted video links (vimeo.com/<id>/<hash>, player.vimeo.com/video/<id>?h=<hash>)
+ * and fetches video info from Vimeo's oEmbed endpoint.
+ */
+
+const { parseTimestamp } = require("./youtube");
+
+/**
+ * Parse a shared Vimeo link
+ * @param input
+ * @returns {{provider: string, videoId: string, hash: string|null, playlistId: null, start: number|null, end: null}|null}
+ *   null when the input is not a Vimeo video link
+ */
+function parseVimeoUrl (input) {
+	if (!input || typeof input !== "string") return null;
+
+	const sanitized = input.trim();
+	const patterns = [
+		/player\.vimeo\.com\/video\/(\d{6,12})(?:[^#]*[?&]h=([a-f0-9]{6,20}))?/i,
+		/vimeo\.com\/(?:channels\/[\w-]+\/|groups\/[\w-]+\/videos\/|album\/\d+\/video\/)?(\d{6,12})(?:\/([a-f0-9]{6,20}))?(?=$|[/?#])/i
+	];
+
+	for (const pattern of patterns) {
+		const match = sanitized.match(pattern);
+		if (match) {
+			// Vimeo links carry the start as #t=90 or #t=1m30s
+			const time = sanitized.match(/#t=([^&]+)/i);
+			const start = time ? parseTimestamp(time[1]) : null;
+
+			return {
+				provider: "vimeo",
+				videoId: match[1],
+				hash: match[2] || null,
+				playlistId: null,
+				start: start > 0 ? start : null,
+				end: null
+			};
+		}
+	}
+
+	return null;
+}
+
+/**
+ * Video info in the shape the PWA expects, for when oEmbed is unreachable
+ * @param {{videoId: string}} media - Parsed Vimeo link
+ */
+function fallbackInfo (media) {
+	return {
+		title: "Vimeo Video",
+		channel: "Vimeo",
+		thumbnail: null,
+		url: `https://vimeo.com/${media.videoId}`,
+		description: "Video information could not be loaded",
+		duration: null,
+		views: null,
+		likes: null,
+		publishedAt: null,
+		category: null,
+		tags: [],
+		quality: "Auto",
+		language: "en",
+		captions: []
+	};
+}
+
+/**
+ * Fetch title, author, thumbnail and duration from Vimeo's oEmbed endpoint
+ * @param {{videoId: string, hash: string|null}} media - Parsed Vimeo link
+ * @returns {Promise<object>} Video information object
+ */
+async function fetchInfo (media) {
+	const videoUrl = `https://vimeo.com/${media.videoId}${media.hash ? `/${media.hash}` : ""}`;
+	const response = await fetch(`https://vimeo.com/api/oembed.json?url=${encodeURIComponent(videoUrl)}`, {
+		headers: { "User-Agent": "Mozilla/5.0 (compatible; MMM-ShareToMirror/1.7.0)" },
+		signal: AbortSignal.timeout(6000)
+	});
+
+	if (!response.ok) {
+		throw new Error(`Vimeo oEmbed returned status ${response.status}`);
+	}
+
+	const data = await response.json();
+	if (!data.title) throw new Error("No title in Vimeo oEmbed response");
+
+	return {
+		...fallbackInfo(media),
+		title: data.title,
+		channel: data.author_name || "Vimeo",
+		channelUrl: data.author_url || null,
+		thumbnail: data.thumbnail_url || null,
+		url: videoUrl,
+		description: data.description || `Video by ${data.author_name || "Vimeo"}`,
+		duration: Number.isFinite(data.duration) ? data.duration : null,
+		publishedAt: data.upload_date || null
+	};
+}
+
+module.exports = {
+	name: "vimeo",
+	label: "Vimeo",
+	idPattern: /^\d{6,12}$/,
+	csp: {
+		"script-src": ["https://player.vimeo.com"],
+		"frame-src": ["https://player.vimeo.com"]
+	},
+	parse: parseVimeoUrl,
+	fetchInfo,
+	fallbackInfo
+};
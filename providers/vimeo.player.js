@@ -0,0 +1,107 @@
+/* global Vimeo */
+
+/**
+ * Vimeo player adapter for MMM-ShareToMirror (runs in the MagicMirror² front-end)
+ * Implements the adapter interface described in youtube.player.js on top of the Vimeo Player SDK.
+ * The SDK is promise based, so every call is fire-and-forget with errors logged.
+ */
+(function () {
+  const RATES = [0.5, 0.75, 1, 1.25, 1.5, 1.75, 2]; // range the Vimeo player accepts
+  let loading = null;
+
+  const warn = (what) => (e) => Log.warn(`MMM-ShareToMirror: Vimeo ${what} error:`, e?.message || e);
+
+  function load () {
+    if (window.Vimeo?.Player) return Promise.resolve();
+    if (loading) return loading;
+    loading = new Promise((resolve, reject) => {
+      const s = document.createElement("script");
+      s.src = "https://player.vimeo.com/api/player.js";
+      s.onload = () => resolve();
+      s.onerror = () => { loading = null; reject(new Error("Failed to load Vimeo API")); };
+      document.head.appendChild(s);
+    });
+    return loading;
+  }
+
+  function create (host, media, settings, events) {
+    const { videoId, hash, start } = media;
+    const params = new URLSearchParams({ autoplay: "1", dnt: "1", title: "0", byline: "0", portrait: "0" });
+    if (hash) params.set("h", hash);
+
+    // Build the iframe ourselves so it fills the stage like the YouTube player
+    const iframe = document.createElement("iframe");
+    iframe.src = `https://player.vimeo.com/video/${videoId}?${params}`;
+    iframe.allow = "autoplay; fullscreen; picture-in-picture";
+    iframe.style.cssText = "width:100%;height:100%;border:0";
+    host.appendChild(iframe);
+
+    const player = new Vimeo.Player(iframe);
+    let state = "unstarted";
+    const setState = (next) => { state = next; events.onState?.(next); };
+
+    const applyOptions = ({ caption, quality }) => {
+      if (caption.enabled) player.enableTextTrack(caption.lang).catch(() => { /* no track in that language */ });
+      else player.disableTextTrack().catch(warn("caption"));
+      // Quality selection needs the uploader's plan to allow it; failures are expected
+      player.setQuality?.(quality.target).catch(() => {});
+    };
+
+    const setVolume = (level, muted) => {
+      player.setVolume(level / 100).catch(warn("volume"));
+      player.setMuted(Boolean(muted)).catch(warn("mute"));
+    };
+
+    const setRate = (rate) => {
+      const applied = RATES.includes(rate) ? rate : 1;
+      if (applied !== rate) Log.warn(`MMM-ShareToMirror: Playback rate ${rate} not available, using 1`);
+      return player.setPlaybackRate(applied).then(() => applied, (e) => { warn("rate")(e); return 1; });
+    };
+
+    player.ready().then(() => {
+      setVolume(settings.volume, settings.muted);
+      setRate(settings.rate);
+      if (start > 0) player.setCurrentTime(start).catch(warn("seek"));
+      applyOptions(settings);
+      events.onReady?.();
+    }).catch((e) => events.onError?.(e?.message || e));
+
+    player.on("play", () => setState("playing"));
+    player.on("playing", () => setState("playing"));
+    player.on("pause", () => { if (state !== "ended") setState("paused"); });
+    player.on("bufferstart", () => setState("buffering"));
+    player.on("bufferend", () => setState("playing"));
+    player.on("ended", () => { setState("ended"); events.onEnded?.(); });
+    player.on("error", (e) => events.onError?.(e?.message || e?.name || "error"));
+
+    return {
+      play: () => player.play().catch(warn("play")),
+      pause: () => player.pause().catch(warn("pause")),
+      stop: () => player.unload().catch(() => {}),
+      destroy: () => player.destroy().catch(() => {}),
+      seek: (seconds) => player.setCurrentTime(seconds).catch(warn("seek")),
+      next: () => {},
+      previous: () => {},
+      setVolume,
+      setRate,
+      applyOptions: (options) => { Object.assign(settings, options); applyOptions(settings); },
+      getStatus: () => Promise.all([
+        player.getCurrentTime(), player.getDuration(), player.getVolume(),
+        player.getMuted(), player.getQuality?.() ?? null, player.getPlaybackRate()
+      ]).then(([currentTime, duration, volume, muted, quality, rate]) => ({
+        state,
+        currentTime: currentTime || 0,
+        duration: duration || 0,
+        volume: Math.round(volume * 100),
+        muted,
+        quality: quality || null,
+        rate,
+        rates: RATES,
+        videoId
+      }))
+    };
+  }
+
+  window.ShareToMirrorPlayers = window.ShareToMirrorPlayers || {};
+  window.ShareToMirrorPlayers.vimeo = { load, create };
+})();
@@ -0,0 +1,142 @@
+/**
+ * YouTube provider for MMM-ShareToMirror
+ * Parses watch, short, embed and playlist links including t=/start=/end= offsets.
+ * Video info comes from the helper's oEmbed/scraping chain (see fetchYouTubeVideoInfo).
+ */
+
+/**
+ * Parse YouTube video ID from URL or return direct ID
+ * Enhanced with better validation and error handling
+ * @param input
+ */
+function parseYouTubeId (input) {
+	if (!input || typeof input !== "string") return null;
+
+	const sanitized = input.trim();
+
+	// Enhanced regex for YouTube URLs including more formats
+	const patterns = [
+		/(?:youtube\.com\/watch\?(?:[^#]*&)?v=)([a-zA-Z0-9_-]{11})/i,
+		/(?:youtube\.com\/embed\/)([a-zA-Z0-9_-]{11})/i,
+		/(?:youtube\.com\/v\/)([a-zA-Z0-9_-]{11})/i,
+		/(?:youtube\.com\/shorts\/)([a-zA-Z0-9_-]{11})/i,
+		/(?:youtu\.be\/)([a-zA-Z0-9_-]{11})/i,
+		/^([a-zA-Z0-9_-]{11})$/i // Direct video ID
+	];
+
+	for (const pattern of patterns) {
+		const match = sanitized.match(pattern);
+		if (match && match[1]) {
+			// Additional validation: ensure it's exactly 11 characters
+			const videoId = match[1];
+			if (videoId.length === 11 && (/^[a-zA-Z0-9_-]+$/).test(videoId)) {
+				return videoId;
+			}
+		}
+	}
+
+	return null;
+}
+
+const PLAYLIST_HOSTS = ["youtube.com", "www.youtube.com", "m.youtube.com", "music.youtube.com", "youtu.be"];
+
+/**
+ * Parse YouTube playlist ID from the `list=` parameter of a YouTube link or return a direct playlist ID
+ * `list=` on other sites is ignored, so a link elsewhere can't pass for a playlist
+ * @param input
+ */
+function parseYouTubePlaylistId (input) {
+	if (!input || typeof input !== "string") return null;
+
+	const sanitized = input.trim();
+	const direct = sanitized.match(/^((?:PL|UU|FL|LL|RD|OL)[a-zA-Z0-9_-]{8,62})$/);
+	if (direct) return direct[1];
+
+	// Shared text can wrap the link in other words
+	for (const word of sanitized.split(/\s+/)) {
+		let url;
+		try {
+			url = new URL((/^https?:\/\//i).test(word) ? word : `https://${word}`);
+		} catch {
+			continue;
+		}
+		if (!PLAYLIST_HOSTS.includes(url.hostname.toLowerCase())) continue;
+
+		const list = (url.searchParams.get("list") || "").match(/^[a-zA-Z0-9_-]{10,64}/);
+		if (list) return list[0];
+	}
+	return null;
+}
+
+/**
+ * Convert a YouTube timestamp ("90", "90s", "1m30s", "1h2m3s") to seconds
+ * @param value
+ * @returns {number|null} Seconds, or null when the value is not a timestamp
+ */
+function parseTimestamp (value) {
+	if (value === undefined || value === null) return null;
+
+	const str = String(value).trim().toLowerCase();
+	if ((/^\d+(?:\.\d+)?s?$/).test(str)) return Math.floor(parseFloat(str));
+
+	const match = str.match(/^(?:(\d+)h)?(?:(\d+)m)?(?:(\d+)s)?$/);
+	if (!match || !str) return null;
+
+	const hours = parseInt(match[1]) || 0;
+	const minutes = parseInt(match[2]) || 0;
+	const seconds = parseInt(match[3]) || 0;
+
+	return hours * 3600 + minutes * 60 + seconds;
+}
+
+/**
+ * Extract start/end offsets from `t=`, `#t=`, `start=`, `time_continue=` and `end=` parameters
+ * @param input
+ * @returns {{start: number|null, end: number|null}} Offsets in seconds
+ */
+function parseYouTubeTimes (input) {
+	if (!input || typeof input !== "string") return { start: null, end: null };
+
+	const param = (name) => {
+		const match = input.match(new RegExp(`[?&#]${name}=([^&#]+)`, "i"));
+		return match ? parseTimestamp(match[1]) : null;
+	};
+
+	const start = param("t") ?? param("start") ?? param("time_continue");
+	const end = param("end");
+
+	return {
+		start: start > 0 ? start : null,
+		end: end > 0 && (!start || end > start) ? end : null
+	};
+}
+
+/**
+ * Parse everything the embedded player needs from a shared YouTube link
+ * @param input
+ * @returns {{provider: string, videoId: string|null, playlistId: string|null, start: number|null, end: number|null}|null}
+ *   null when neither a video nor a playlist was found
+ */
+function parseYouTubeUrl (input) {
+	const videoId = parseYouTubeId(input);
+	const playlistId = parseYouTubePlaylistId(input);
+
+	if (!videoId && !playlistId) return null;
+	return { provider: "youtube", videoId, playlistId, ...parseYouTubeTimes(input) };
+}
+
+module.exports = {
+	name: "youtube",
+	label: "YouTube",
+	idPattern: /^[a-zA-Z0-9_-]{11}$/,
+	csp: {
+		"script-src": ["https://www.youtube.com"],
+		"frame-src": ["https://www.youtube.com"]
+	},
+	parse: parseYouTubeUrl,
+	fetchInfo: (media, helper) => helper.fetchYouTubeVideoInfo(media.videoId),
+	fallbackInfo: (media, helper) => helper.createFallbackVideoInfo(media.videoId),
+
+	parseYouTubeId,
+	parseTimestamp
+};
@@ -0,0 +1,144 @@
+/* global YT */
+
+/**
+ * YouTube player adapter for MMM-ShareToMirror (runs in the MagicMirror² front-end)
+ *
+ * Every provider registers an adapter on window.ShareToMirrorPlayers[name]:
+ *   load(media)                             - Promise that resolves once the player API needed for `media` is available
+ *   create(host, media, settings, events)   - Build a player inside `host` and return a controller
+ *     settings: { caption, quality, volume, muted, rate }
+ *     events:   { onReady(), onState(state), onEnded(), onError(error), onPlaylist({ index, total, videoId }) }
+ * The controller exposes play(), pause(), stop(), destroy(), seek(seconds), next(), previous(),
+ * setVolume(level, muted), setRate(rate) -> Promise<applied rate>, applyOptions({ caption, quality })
+ * and getStatus() -> Promise<{ state, currentTime, duration, volume, muted, quality, rate, rates, videoId }>.
+ * Methods a provider cannot support are no-ops.
+ */
+(function () {
+  const QUALITIES = { "144p":"tiny","240p":"small","360p":"medium","480p":"large","720p":"hd720","1080p":"hd1080","1440p":"hd1440","2160p":"hd2160" };
+  const STATES = { "-1": "unstarted", 0: "ended", 1: "playing", 2: "paused", 3: "buffering", 5: "cued" };
+  let loading = null;
+
+  const qualityLabel = (ytq) => Object.keys(QUALITIES).find((k) => QUALITIES[k] === ytq) || (ytq ? "auto" : null);
+
+  function load () {
+    if (window.YT?.Player) return Promise.resolve();
+    if (loading) return loading;
+    loading = new Promise((resolve, reject) => {
+      const previous = window.onYouTubeIframeAPIReady;
+      window.onYouTubeIframeAPIReady = () => { previous?.(); resolve(); };
+      const s = document.createElement("script");
+      s.src = "https://www.youtube.com/iframe_api";
+      s.onerror = () => { loading = null; reject(new Error("Failed to load YouTube API")); };
+      document.head.appendChild(s);
+    });
+    return loading;
+  }
+
+  function create (host, media, settings, events) {
+    const { videoId, playlistId, start, end } = media;
+    let yt = null;
+
+    const applyOptions = ({ caption, quality }) => {
+      if (!yt?.setOption) return;
+      try {
+        if (caption.enabled) {
+          yt.setOption("captions", "track", { languageCode: caption.lang });
+          yt.setOption("captions", "reload", true);
+        } else {
+          yt.setOption("captions", "track", {});
+        }
+      } catch (e) { Log.warn("MMM-ShareToMirror: Caption error:", e); }
+      try {
+        const q = quality.target === "auto" ? "default" : QUALITIES[quality.target];
+        if (q) yt.setPlaybackQuality?.(q);
+      } catch (e) { Log.warn("MMM-ShareToMirror: Quality error:", e); }
+    };
+
+    const setVolume = (level, muted) => {
+      yt?.setVolume?.(level);
+      if (muted) yt?.mute?.(); else yt?.unMute?.();
+    };
+
+    const setRate = (rate) => {
+      const rates = yt?.getAvailablePlaybackRates?.() || [];
+      const applied = rates.length && !rates.includes(rate) ? 1 : rate;
+      if (applied !== rate) Log.warn(`MMM-ShareToMirror: Playback rate ${rate} not available, using 1`);
+      yt?.setPlaybackRate?.(applied);
+      return Promise.resolve(applied);
+    };
+
+    const reportPlaylist = () => {
+      const list = yt?.getPlaylist?.() || [];
+      const index = yt?.getPlaylistIndex?.();
+      events.onPlaylist?.({ index, total: list.length, videoId: yt?.getVideoData?.()?.video_id || list[index] || null });
+    };
+
+    const onStateChange = (e) => {
+      events.onState?.(STATES[e.data] || "unknown");
+      if (playlistId && e.data === 1) reportPlaylist();
+      if (e.data !== 0) return;
+      // Inside a playlist the player advances on its own until the last track
+      if (playlistId) {
+        const list = yt?.getPlaylist?.();
+        const idx = yt?.getPlaylistIndex?.();
+        if (Array.isArray(list) && idx < list.length - 1) return;
+      }
+      events.onEnded?.();
+    };
+
+    const playerVars = {
+      autoplay: 1, controls: 1, modestbranding: 1, rel: 0, iv_load_policy: 3,
+      fs: 0, playsinline: 1, cc_load_policy: settings.caption.enabled ? 1 : 0,
+      hl: settings.caption.lang
+    };
+    if (playlistId) Object.assign(playerVars, { listType: "playlist", list: playlistId });
+    // Offsets from shared links (t=, start=, end=); YouTube wants whole seconds
+    if (start > 0) playerVars.start = Math.floor(start);
+    if (end > 0) playerVars.end = Math.floor(end);
+
+    yt = new YT.Player(host.id, {
+      width: "100%", height: "100%", ...(videoId ? { videoId } : {}),
+      playerVars,
+      events: {
+        onReady: (ev) => {
+          setVolume(settings.volume, settings.muted);
+          setRate(settings.rate);
+          ev.target.playVideo();
+          applyOptions(settings);
+          events.onReady?.();
+        },
+        onApiChange: () => applyOptions(settings),
+        onPlaybackQualityChange: () => { if (settings.quality.lock) applyOptions(settings); },
+        onStateChange,
+        onError: (e) => events.onError?.(e.data)
+      }
+    });
+
+    return {
+      play: () => yt?.playVideo?.(),
+      pause: () => yt?.pauseVideo?.(),
+      stop: () => yt?.stopVideo?.(),
+      destroy: () => yt?.destroy?.(),
+      seek: (seconds) => yt?.seekTo?.(seconds, true),
+      next: () => yt?.nextVideo?.(),
+      previous: () => yt?.previousVideo?.(),
+      setVolume,
+      setRate,
+      applyOptions: (options) => { Object.assign(settings, options); applyOptions(settings); },
+      getStatus: () => Promise.resolve(yt?.getPlayerState ? {
+        state: STATES[yt.getPlayerState()] || "unknown",
+        currentTime: yt.getCurrentTime?.() || 0,
+        duration: yt.getDuration?.() || 0,
+        volume: yt.getVolume?.() ?? null,
+        muted: yt.isMuted?.() ?? null,
+        quality: qualityLabel(yt.getPlaybackQuality?.()),
+        rate: yt.getPlaybackRate?.() ?? null,
+        rates: yt.getAvailablePlaybackRates?.() || null,
+        videoId: yt.getVideoData?.()?.video_id || null
+      } : null) // player not ready yet
+    };
+  }
+
+  window.ShareToMirrorPlayers = window.ShareToMirrorPlayers || {};
+  window.ShareToMirrorPlayers.youtube = { load, create };
+})();
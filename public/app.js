@@ -4,7 +4,30 @@
  */
 
 // Application state
-const state = { deferredPrompt: null, isLoading: false };
+const state = {
+	deferredPrompt: null,
+	isLoading: false,
+	eventSource: null,
+	eventRetries: 0,
+	live: false,
+	currentVideoId: null,
+	pairingRequired: false,
+	volumeDragging: false,
+	seeking: false,
+	duration: 0,
+	historyLoaded: false,
+	historyItems: [],
+	historyTotal: 0,
+	favorites: [],
+	favoritesLoaded: false,
+	currentUrl: null,
+	photo: null,
+	link: null,
+	notesLoaded: false,
+	scheduleLoaded: false,
+	mirrorRows: [],
+	allowedMirrors: null
+};
 const elements = {};
 
 // Initialize DOM elements
@@ -13,6 +36,9 @@ document.addEventListener("DOMContentLoaded", () => {
 		url: document.getElementById("url"),
 		playButton: document.getElementById("play"),
 		stopButton: document.getElementById("stop"),
+		enqueueButton: document.getElementById("enqueue"),
+		favoriteButton: document.getElementById("favorite"),
+		showLinkButton: document.getElementById("showLink"),
 		installButton: document.getElementById("install"),
 		captionEnabled: document.getElementById("captionEnabled"),
 		captionLang: document.getElementById("captionLang"),
@@ -41,14 +67,93 @@ document.addEventListener("DOMContentLoaded", () => {
 		currentTime: document.getElementById("currentTime"),
 		totalTime: document.getElementById("totalTime"),
 		progressFill: document.getElementById("progressFill"),
+		progressBar: document.getElementById("progressBar"),
+		progressThumb: document.getElementById("progressThumb"),
 		videoControls: document.getElementById("videoControls"),
 		rewindButton: document.getElementById("rewind"),
 		pauseButton: document.getElementById("pause"),
 		forwardButton: document.getElementById("forward"),
 		refreshStatus: document.getElementById("refreshStatus"),
+		muteToggle: document.getElementById("muteToggle"),
+		volumeSlider: document.getElementById("volumeSlider"),
+		volumeValue: document.getElementById("volumeValue"),
+		rateSelect: document.getElementById("rateSelect"),
+		sleepSelect: document.getElementById("sleepSelect"),
+		fullscreenButton: document.getElementById("mmFSOn"),
+		windowedButton: document.getElementById("mmFSOff"),
 		skipSelect: document.getElementById("skipSelect"),
 		rewindText: document.getElementById("rewindText"),
-		forwardText: document.getElementById("forwardText")
+		forwardText: document.getElementById("forwardText"),
+		previousTrackButton: document.getElementById("previousTrack"),
+		nextTrackButton: document.getElementById("nextTrack"),
+		playlistPosition: document.getElementById("playlistPosition"),
+		videoQueue: document.getElementById("videoQueue"),
+		queueList: document.getElementById("queueList"),
+		queueNextButton: document.getElementById("queueNext"),
+		queueClearButton: document.getElementById("queueClear"),
+		pairing: document.getElementById("pairing"),
+		pairStartButton: document.getElementById("pairStart"),
+		pairPin: document.getElementById("pairPin"),
+		pairName: document.getElementById("pairName"),
+		pairSubmitButton: document.getElementById("pairSubmit"),
+		devicesSection: document.getElementById("devicesSection"),
+		deviceList: document.getElementById("deviceList"),
+		filtersSection: document.getElementById("filtersSection"),
+		filterKidsMode: document.getElementById("filterKidsMode"),
+		filterAllowChannels: document.getElementById("filterAllowChannels"),
+		filterDenyChannels: document.getElementById("filterDenyChannels"),
+		filterAllowVideos: document.getElementById("filterAllowVideos"),
+		filterDenyVideos: document.getElementById("filterDenyVideos"),
+		filterBlockKeywords: document.getElementById("filterBlockKeywords"),
+		filtersConfig: document.getElementById("filtersConfig"),
+		filtersSave: document.getElementById("filtersSave"),
+		historySection: document.getElementById("historySection"),
+		historyList: document.getElementById("historyList"),
+		historyMore: document.getElementById("historyMore"),
+		historyClear: document.getElementById("historyClear"),
+		historyTab: document.getElementById("historyTab"),
+		favoritesTab: document.getElementById("favoritesTab"),
+		historyPanel: document.getElementById("historyPanel"),
+		favoritesPanel: document.getElementById("favoritesPanel"),
+		favoritesFolder: document.getElementById("favoritesFolder"),
+		favoritesList: document.getElementById("favoritesList"),
+		favoritesEmpty: document.getElementById("favoritesEmpty"),
+		photoInput: document.getElementById("photoInput"),
+		photoPick: document.getElementById("photoPick"),
+		photoFit: document.getElementById("photoFit"),
+		photoSlideshow: document.getElementById("photoSlideshow"),
+		photoPreview: document.getElementById("photoPreview"),
+		photoPosition: document.getElementById("photoPosition"),
+		photoPrevious: document.getElementById("photoPrevious"),
+		photoNext: document.getElementById("photoNext"),
+		photoDismiss: document.getElementById("photoDismiss"),
+		linkSection: document.getElementById("linkSection"),
+		linkImage: document.getElementById("linkImage"),
+		linkSite: document.getElementById("linkSite"),
+		linkTitle: document.getElementById("linkTitle"),
+		linkPage: document.getElementById("linkPage"),
+		linkCard: document.getElementById("linkCard"),
+		linkDismiss: document.getElementById("linkDismiss"),
+		noteText: document.getElementById("noteText"),
+		noteSender: document.getElementById("noteSender"),
+		noteExpiry: document.getElementById("noteExpiry"),
+		notePost: document.getElementById("notePost"),
+		noteList: document.getElementById("noteList"),
+		scheduleUrl: document.getElementById("scheduleUrl"),
+		scheduleTime: document.getElementById("scheduleTime"),
+		scheduleDays: document.getElementById("scheduleDays"),
+		scheduleAdd: document.getElementById("scheduleAdd"),
+		scheduleList: document.getElementById("scheduleList"),
+		mirrorSwitch: document.getElementById("mirrorSwitch"),
+		mirrorSelect: document.getElementById("mirrorSelect"),
+		mirrorList: document.getElementById("mirrorList"),
+		mirrorName: document.getElementById("mirrorName"),
+		mirrorUrl: document.getElementById("mirrorUrl"),
+		mirrorToken: document.getElementById("mirrorToken"),
+		mirrorAdd: document.getElementById("mirrorAdd"),
+		mirrorPicker: document.getElementById("mirrorPicker"),
+		mirrorPickerShared: document.getElementById("mirrorPickerShared"),
+		mirrorPickerList: document.getElementById("mirrorPickerList")
 	});
 
 	setupEventListeners();
@@ -56,10 +161,17 @@ document.addEventListener("DOMContentLoaded", () => {
 	initializeTheme();
 	updateSkipButtonText(); // Initialize button text
 	checkInstallability(); // Check if app can be installed
+	renderMirrors();
 	checkStatus();
 	handleSharedUrl();
-	// Check status more frequently for better responsiveness
-	setInterval(checkStatus, 5000); // Check every 5 seconds instead of 30
+	connectEvents();
+	// Poll only while the live event stream is down
+	setInterval(() => {
+		if (!state.live) checkStatus();
+	}, 5000);
+	setInterval(() => {
+		if (loadMirrors().length) refreshMirrorStatus();
+	}, 30000);
 });
 
 // Safety fallback: if we detect header overlap, nudge once
@@ -225,27 +337,118 @@ function showToast (message, type = "info") {
 	setTimeout(() => elements.toast.classList.remove("show"), 4000);
 }
 
+/**
+ * Other mirrors this phone controls, besides the one serving the PWA
+ * @returns {{name: string, url: string, token: string|null}[]} Saved mirrors (url is the origin)
+ */
+function loadMirrors () {
+	try {
+		const mirrors = JSON.parse(localStorage.getItem("stmMirrors") || "[]");
+		return Array.isArray(mirrors) ? mirrors : [];
+	} catch {
+		return [];
+	}
+}
+
+/**
+ * Save the mirror list; while it has entries the share target lets the PWA ask where a shared link goes
+ * @param {object[]} mirrors - Mirrors as returned by loadMirrors()
+ */
+function saveMirrors (mirrors) {
+	localStorage.setItem("stmMirrors", JSON.stringify(mirrors));
+	document.cookie = mirrors.length ? "stm_pick=1; path=/; max-age=315360000; SameSite=Lax" : "stm_pick=; path=/; max-age=0";
+}
+
+/**
+ * The mirror API calls currently go to
+ * @returns {object|null} Entry from loadMirrors(), or null for the mirror serving the PWA
+ */
+function activeMirror () {
+	const url = localStorage.getItem("stmMirror");
+	return url ? loadMirrors().find((mirror) => mirror.url === url) || null : null;
+}
+
+/**
+ * Absolute address of an endpoint on a mirror
+ * @param {string} endpoint - Path such as /api/status
+ * @param {object|null} mirror - Defaults to the active mirror; null is the mirror serving the PWA
+ */
+function apiUrl (endpoint, mirror = activeMirror()) {
+	return mirror ? `${mirror.url}${endpoint}` : endpoint;
+}
+
+/**
+ * Device token for a mirror (each one pairs separately)
+ * @param {object|null} mirror - Defaults to the active mirror
+ * @returns {string|null} Token, or null when not paired
+ */
+function getToken (mirror = activeMirror()) {
+	return mirror ? mirror.token || null : localStorage.getItem("stmToken");
+}
+
+/**
+ * Remember or forget the active mirror's device token
+ * @param {string|null} token - Token from /api/pair, or null to forget it
+ */
+function setToken (token) {
+	const mirror = activeMirror();
+	if (mirror) {
+		saveMirrors(loadMirrors().map((entry) => (entry.url === mirror.url ? { ...entry, token: token || null } : entry)));
+	} else if (token) {
+		localStorage.setItem("stmToken", token);
+	} else {
+		localStorage.removeItem("stmToken");
+	}
+}
+
+/**
+ * Headers identifying this device to a mirror that requires pairing
+ * @param {object|null} mirror - Defaults to the active mirror
+ * @returns {object} Token header, or nothing when the device is not paired
+ */
+function authHeaders (mirror = activeMirror()) {
+	const token = getToken(mirror);
+	return token ? { "X-STM-Token": token } : {};
+}
+
 /**
  *
  * @param endpoint
  * @param options
  */
 async function apiRequest (endpoint, options = {}) {
+	const { timeout = 10000, ...fetchOptions } = options; // uploads pass a longer timeout
 	const controller = new AbortController();
-	const timeoutId = setTimeout(() => controller.abort(), 10000); // 10 second timeout
+	const timeoutId = setTimeout(() => controller.abort(), timeout);
+	// Let the browser set the multipart boundary for form uploads
+	const contentType = fetchOptions.body instanceof FormData ? {} : { "Content-Type": "application/json" };
 
 	try {
-		const response = await fetch(endpoint, {
-			headers: { "Content-Type": "application/json", ...options.headers },
-			signal: controller.signal,
-			...options
+		const response = await fetch(apiUrl(endpoint), {
+			...fetchOptions,
+			headers: { ...contentType, ...authHeaders(), ...fetchOptions.headers },
+			signal: controller.signal
 		});
 
 		clearTimeout(timeoutId);
 
+		if (response.status === 401) {
+			showPairing();
+			const pairingError = new Error("This device is not paired with the mirror");
+			pairingError.pairing = true;
+			throw pairingError;
+		}
+
 		if (!response.ok) {
 			const errorText = await response.text().catch(() => response.statusText);
-			throw new Error(`HTTP ${response.status}: ${errorText}`);
+			// Prefer the helper's own explanation (e.g. quiet hours) over the raw body
+			let message = `HTTP ${response.status}: ${errorText}`;
+			try {
+				message = JSON.parse(errorText).error || message;
+			} catch {
+				// not JSON
+			}
+			throw new Error(message);
 		}
 
 		return response.json();
@@ -297,7 +500,7 @@ function updateStatus (online, text) {
  */
 async function playVideo (url) {
 	if (!url?.trim()) {
-		showToast("Please enter a YouTube URL", "warning");
+		showToast("Please enter a video URL", "warning");
 		if (elements.url) elements.url.focus();
 		return;
 	}
@@ -312,12 +515,14 @@ async function playVideo (url) {
 		});
 
 		if (result.ok) {
-			showToast("Playing on MagicMirror²", "success");
+			if (result.quiet) showToast(result.quiet.message, "warning");
+			else showToast("Playing on MagicMirror²", "success");
 			if (elements.url) elements.url.value = "";
+			sessionStorage.removeItem("pendingShareUrl");
 
 			// Fetch and display video information
 			if (result.videoId) {
-				fetchVideoInfo(result.videoId).then((videoData) => {
+				fetchVideoInfo(result.videoId, result.provider, url).then((videoData) => {
 					if (videoData) {
 						updateVideoInfo(videoData);
 					}
@@ -325,12 +530,13 @@ async function playVideo (url) {
 			}
 
 			// Show video controls when video starts playing
-			showVideoControls();
+			if (result.mode !== "held") showVideoControls();
 
-			// Close window if this was a shared URL from another app
+			// Close window if this was a shared URL from another app (quiet hours messages stay readable)
 			if (isSharedUrl) {
 				// Clear the flag
 				sessionStorage.removeItem("isSharedUrl");
+				if (result.quiet) return;
 
 				setTimeout(() => {
 					// Try multiple closing strategies
@@ -383,6 +589,103 @@ async function stopPlayback () {
 	}
 }
 
+/**
+ * Add a video to the mirror's play queue (plays right away if nothing is on screen)
+ * @param {string} url - Video URL (or YouTube video ID)
+ */
+async function queueVideo (url) {
+	if (!url?.trim()) {
+		showToast("Please enter a video URL", "warning");
+		if (elements.url) elements.url.focus();
+		return;
+	}
+
+	try {
+		const result = await apiRequest("/api/queue", {
+			method: "POST",
+			body: JSON.stringify({ url })
+		});
+
+		if (result.ok) {
+			if (result.quiet) showToast(result.quiet.message, "warning");
+			else showToast(result.started ? "Playing on MagicMirror²" : `Added to queue (#${result.queue.length})`, "success");
+			if (elements.url) elements.url.value = "";
+			if (result.started) showVideoControls();
+			renderQueue(result.queue);
+		} else {
+			throw new Error(result.error || "Failed to queue video");
+		}
+	} catch (error) {
+		showToast(`Error: ${error.message}`, "error");
+	}
+}
+
+/**
+ * Send a queue management request and re-render the list from the response
+ * @param {string} endpoint - Queue API endpoint
+ * @param {object} body - Request payload
+ * @param {string} successMessage - Toast shown on success (optional)
+ */
+async function updateQueue (endpoint, body = {}, successMessage = "") {
+	try {
+		const result = await apiRequest(endpoint, {
+			method: "POST",
+			body: JSON.stringify(body)
+		});
+
+		if (result.ok) {
+			if (successMessage) showToast(successMessage, "success");
+			renderQueue(result.queue);
+		} else {
+			throw new Error(result.error || "Failed to update queue");
+		}
+	} catch (error) {
+		showToast(`Error: ${error.message}`, "error");
+	}
+}
+
+/**
+ * Render the "Up Next" list
+ * @param {Array<object>} queue - Queue entries from the helper
+ */
+function renderQueue (queue) {
+	if (!elements.videoQueue || !elements.queueList) return;
+
+	const items = Array.isArray(queue) ? queue : [];
+	elements.videoQueue.style.display = items.length > 0 ? "block" : "none";
+	elements.queueList.innerHTML = "";
+
+	items.forEach((item, index) => {
+		const li = document.createElement("li");
+		li.className = "queue-item";
+
+		const title = document.createElement("span");
+		title.className = "queue-item__title";
+		title.textContent = item.title || item.url || item.videoId;
+		title.title = title.textContent;
+
+		const up = document.createElement("button");
+		up.type = "button";
+		up.className = "queue-item__action";
+		up.textContent = "▲";
+		up.title = "Move up";
+		up.setAttribute("aria-label", `Move ${title.textContent} up`);
+		up.disabled = index === 0;
+		up.addEventListener("click", () => updateQueue("/api/queue/move", { id: item.id, index: index - 1 }));
+
+		const remove = document.createElement("button");
+		remove.type = "button";
+		remove.className = "queue-item__action";
+		remove.textContent = "✕";
+		remove.title = "Remove from queue";
+		remove.setAttribute("aria-label", `Remove ${title.textContent} from queue`);
+		remove.addEventListener("click", () => updateQueue("/api/queue/remove", { id: item.id }));
+
+		li.append(title, up, remove);
+		elements.queueList.appendChild(li);
+	});
+}
+
 /**
  * Show video info and controls when a video is playing
  */
@@ -507,18 +810,387 @@ function updateVideoInfo (videoData) {
 }
 
 /**
- * Fetch video information from YouTube API (via backend)
+ * Upload photos from this phone and start a slideshow on the mirror
+ * @param {FileList} files - Images picked by the user
+ */
+async function uploadPhotos (files) {
+	if (!files?.length) return;
+
+	const form = new FormData();
+	for (const file of files) form.append("photos", file);
+	form.append("fit", elements.photoFit?.value || "contain");
+
+	setLoading(true);
+	try {
+		const result = await apiRequest("/api/photos", { method: "POST", body: form, timeout: 120000 });
+		showToast(result.photos.length > 1 ? `Showing ${result.photos.length} photos` : "Showing photo", "success");
+		updatePhotoSlideshow(result.current);
+	} catch (error) {
+		if (!error.pairing) showToast(`Error: ${error.message}`, "error");
+	} finally {
+		setLoading(false);
+		if (elements.photoInput) elements.photoInput.value = "";
+	}
+}
+
+/**
+ * Navigate or close the slideshow on the mirror
+ * @param {string} action - next, previous, show, fit or dismiss
+ * @param {object} extra - index (show) or fit (fit)
+ */
+async function controlPhotos (action, extra = {}) {
+	try {
+		const result = await apiRequest("/api/photos/control", {
+			method: "POST",
+			body: JSON.stringify({ action, ...extra })
+		});
+		updatePhotoSlideshow(result.current);
+	} catch (error) {
+		if (!error.pairing) showToast(`Error: ${error.message}`, "error");
+	}
+}
+
+/**
+ * Show the photo on screen and the slideshow controls
+ * @param {object|null} photo - Current photo from the helper (null when none)
+ */
+function updatePhotoSlideshow (photo) {
+	state.photo = photo || null;
+	if (!elements.photoSlideshow) return;
+
+	elements.photoSlideshow.style.display = photo ? "block" : "none";
+	if (!photo) {
+		elements.photoPreview.removeAttribute("src");
+		return;
+	}
+
+	const src = apiUrl(photo.url);
+	if (elements.photoPreview.getAttribute("src") !== src) elements.photoPreview.src = src;
+	elements.photoPreview.alt = photo.name;
+	elements.photoPosition.textContent = photo.total > 1 ? `${photo.index + 1} of ${photo.total} · ${photo.name}` : photo.name;
+	elements.photoPrevious.disabled = photo.total < 2;
+	elements.photoNext.disabled = photo.total < 2;
+	if (elements.photoFit) elements.photoFit.value = photo.fit;
+}
+
+/**
+ * Show a preview card for any web link on the mirror
+ * @param {string} url - Article, recipe, ... link
+ */
+async function showLink (url) {
+	if (!url?.trim()) {
+		showToast("Please enter a link", "warning");
+		elements.url?.focus();
+		return;
+	}
+
+	setLoading(true);
+	try {
+		// The mirror downloads the page for its preview, which can take a while
+		const result = await apiRequest("/api/link", {
+			method: "POST",
+			body: JSON.stringify({ url: url.trim() }),
+			timeout: 30000
+		});
+		showToast(`Showing ${result.link.siteName} on the mirror`, "success");
+		if (elements.url) elements.url.value = "";
+		sessionStorage.removeItem("pendingShareLink");
+		updateLinkPanel(result.link);
+	} catch (error) {
+		if (!error.pairing) showToast(`Error: ${error.message}`, "error");
+	} finally {
+		setLoading(false);
+	}
+}
+
+/**
+ * Switch the link on the mirror between card and page, or close it
+ * @param {string} action - page, card or dismiss
+ */
+async function controlLink (action) {
+	try {
+		const result = await apiRequest("/api/link/control", {
+			method: "POST",
+			body: JSON.stringify({ action })
+		});
+		updateLinkPanel(result.link);
+	} catch (error) {
+		if (!error.pairing) showToast(`Error: ${error.message}`, "error");
+	}
+}
+
+/**
+ * Show the link on screen with its card/page controls
+ * @param {object|null} link - Current link from the helper (null when none)
+ */
+function updateLinkPanel (link) {
+	state.link = link || null;
+	if (!elements.linkSection) return;
+
+	elements.linkSection.style.display = link ? "block" : "none";
+	if (!link) return;
+
+	if (link.image) {
+		if (elements.linkImage.getAttribute("src") !== link.image) elements.linkImage.src = link.image;
+		elements.linkImage.style.display = "";
+	} else {
+		elements.linkImage.removeAttribute("src");
+		elements.linkImage.style.display = "none";
+	}
+	elements.linkSite.textContent = link.siteName;
+	elements.linkTitle.textContent = link.title;
+	// Sites that refuse to be framed can only be shown as a card
+	elements.linkPage.disabled = link.mode === "page" || !link.embeddable;
+	elements.linkPage.title = link.embeddable ? "Show the page itself on the mirror" : "This site does not allow being shown inside other pages";
+	elements.linkCard.disabled = link.mode === "card";
+}
+
+/**
+ * Post the note typed in the PWA to the mirror
+ */
+async function postNote () {
+	const text = elements.noteText?.value.trim();
+	if (!text) {
+		showToast("Please enter a note", "warning");
+		elements.noteText?.focus();
+		return;
+	}
+
+	const sender = elements.noteSender?.value.trim() || null;
+	const expiry = elements.noteExpiry?.value;
+	// Remember the name for next time
+	localStorage.setItem("stmNoteSender", sender || "");
+
+	try {
+		const result = await apiRequest("/api/notes", {
+			method: "POST",
+			body: JSON.stringify({ text, sender, ...(expiry ? { expiresIn: Number(expiry) } : {}) })
+		});
+		showToast("Note posted on the mirror", "success");
+		elements.noteText.value = "";
+		renderNotes(result.notes);
+	} catch (error) {
+		if (!error.pairing) showToast(`Error: ${error.message}`, "error");
+	}
+}
+
+/**
+ * Load the notes on the mirror
+ */
+async function loadNotes () {
+	try {
+		const result = await apiRequest("/api/notes");
+		state.notesLoaded = true;
+		renderNotes(result.notes);
+	} catch (error) {
+		if (!error.pairing) console.warn("[PWA] Failed to load notes:", error);
+	}
+}
+
+/**
+ * Render the notes on the mirror, each with a dismiss button
+ * @param {Array<object>} notes - Notes from the helper
+ */
+function renderNotes (notes) {
+	if (!elements.noteList) return;
+	elements.noteList.innerHTML = "";
+
+	(notes || []).forEach((note) => {
+		const li = document.createElement("li");
+		li.className = "history-item";
+
+		const body = document.createElement("div");
+		body.className = "history-item__replay";
+
+		const text = document.createElement("span");
+		text.className = "history-item__title note-item__text";
+		text.textContent = note.text;
+
+		const meta = document.createElement("span");
+		meta.className = "history-item__meta";
+		const until = note.expiresAt ? `until ${new Date(note.expiresAt).toLocaleTimeString([], { hour: "2-digit", minute: "2-digit" })}` : "until dismissed";
+		meta.textContent = [note.sender, until].filter(Boolean).join(" · ");
+
+		body.append(text, meta);
+
+		const dismiss = document.createElement("button");
+		dismiss.type = "button";
+		dismiss.className = "queue-item__action";
+		dismiss.textContent = "✕";
+		dismiss.title = "Dismiss note";
+		dismiss.setAttribute("aria-label", `Dismiss note ${note.text.slice(0, 40)}`);
+		dismiss.addEventListener("click", () => dismissNote(note.id));
+
+		li.append(body, dismiss);
+		elements.noteList.appendChild(li);
+	});
+}
+
+/**
+ * Take a note off the mirror
+ * @param {string} id - Note id
+ */
+async function dismissNote (id) {
+	try {
+		const result = await apiRequest("/api/notes/dismiss", {
+			method: "POST",
+			body: JSON.stringify({ id })
+		});
+		renderNotes(result.notes);
+	} catch (error) {
+		if (!error.pairing) showToast(`Error: ${error.message}`, "error");
+	}
+}
+
+const SCHEDULE_DAYS = {
+	daily: [],
+	weekdays: ["mon", "tue", "wed", "thu", "fri"],
+	weekends: ["sat", "sun"]
+};
+
+/**
+ * Add the video and time entered in the PWA to the mirror's schedule
+ */
+async function addScheduleRule () {
+	const url = elements.scheduleUrl?.value.trim();
+	const time = elements.scheduleTime?.value;
+	if (!url || !time) {
+		showToast("Enter a video URL and a time", "warning");
+		(url ? elements.scheduleTime : elements.scheduleUrl)?.focus();
+		return;
+	}
+
+	const repeat = elements.scheduleDays?.value || "daily";
+	const rule = { url, time };
+	if (repeat === "once") {
+		// The next time the clock shows this time: today, or tomorrow if it has passed
+		const [hours, minutes] = time.split(":").map(Number);
+		const day = new Date();
+		if (hours * 60 + minutes <= day.getHours() * 60 + day.getMinutes()) day.setDate(day.getDate() + 1);
+		rule.date = `${day.getFullYear()}-${String(day.getMonth() + 1).padStart(2, "0")}-${String(day.getDate()).padStart(2, "0")}`;
+	} else {
+		rule.days = SCHEDULE_DAYS[repeat];
+	}
+
+	try {
+		const result = await apiRequest("/api/schedule", {
+			method: "POST",
+			body: JSON.stringify(rule)
+		});
+		showToast(`Scheduled for ${formatScheduleRun(result.item.nextRun)}`, "success");
+		elements.scheduleUrl.value = "";
+		renderSchedule(result.schedule);
+	} catch (error) {
+		if (!error.pairing) showToast(`Error: ${error.message}`, "error");
+	}
+}
+
+/**
+ * Load the mirror's schedule
+ */
+async function loadSchedule () {
+	try {
+		const result = await apiRequest("/api/schedule");
+		state.scheduleLoaded = true;
+		renderSchedule(result.schedule);
+	} catch (error) {
+		if (!error.pairing) console.warn("[PWA] Failed to load schedule:", error);
+	}
+}
+
+/**
+ * @param {string|null} iso - Next run from the helper
+ * @returns {string} Short local date and time
+ */
+function formatScheduleRun (iso) {
+	if (!iso) return "never";
+	return new Date(iso).toLocaleString([], { weekday: "short", hour: "2-digit", minute: "2-digit" });
+}
+
+/**
+ * Render the schedule, each rule with its next run, an on/off toggle and a delete button
+ * @param {Array<object>} rules - Rules from the helper
+ */
+function renderSchedule (rules) {
+	if (!elements.scheduleList) return;
+	elements.scheduleList.innerHTML = "";
+
+	(rules || []).forEach((rule) => {
+		const fromConfig = rule.source === "config";
+		const li = document.createElement("li");
+		li.className = "history-item";
+
+		const body = document.createElement("div");
+		body.className = "history-item__replay";
+
+		const title = document.createElement("span");
+		title.className = "history-item__title";
+		title.textContent = rule.title || rule.url;
+
+		const meta = document.createElement("span");
+		meta.className = "history-item__meta";
+		const when = rule.cron ? `cron ${rule.cron}` : [rule.time, rule.date || rule.days.join(", ") || "daily"].join(" · ");
+		const next = rule.enabled ? `next ${formatScheduleRun(rule.nextRun)}` : "off";
+		meta.textContent = [when, next, fromConfig ? "config.js" : null].filter(Boolean).join(" · ");
+
+		body.append(title, meta);
+
+		const toggle = document.createElement("button");
+		toggle.type = "button";
+		toggle.className = "queue-item__action";
+		toggle.textContent = rule.enabled ? "⏸" : "▶";
+		toggle.title = fromConfig ? "Set in config.js" : rule.enabled ? "Turn off" : "Turn on";
+		toggle.setAttribute("aria-label", `${rule.enabled ? "Turn off" : "Turn on"} ${title.textContent}`);
+		toggle.disabled = fromConfig;
+		toggle.addEventListener("click", () => updateSchedule("/api/schedule/update", { id: rule.id, enabled: !rule.enabled }));
+
+		const remove = document.createElement("button");
+		remove.type = "button";
+		remove.className = "queue-item__action";
+		remove.textContent = "✕";
+		remove.title = fromConfig ? "Set in config.js" : "Remove from schedule";
+		remove.setAttribute("aria-label", `Remove ${title.textContent} from schedule`);
+		remove.disabled = fromConfig;
+		remove.addEventListener("click", () => updateSchedule("/api/schedule/remove", { id: rule.id }));
+
+		li.append(body, toggle, remove);
+		elements.scheduleList.appendChild(li);
+	});
+}
+
+/**
+ * Send a schedule change and re-render the list from the response
+ * @param {string} endpoint - Schedule API endpoint
+ * @param {object} body - Request payload
+ */
+async function updateSchedule (endpoint, body) {
+	try {
+		const result = await apiRequest(endpoint, {
+			method: "POST",
+			body: JSON.stringify(body)
+		});
+		renderSchedule(result.schedule);
+	} catch (error) {
+		if (!error.pairing) showToast(`Error: ${error.message}`, "error");
+	}
+}
+
+/**
+ * Fetch video information from the video's provider (via backend)
  * Accepts server "fallback" JSON even on non-200 responses.
- * @param {string} videoId - YouTube video ID
+ * @param {string} videoId - Provider video ID
+ * @param {string} provider - Provider name (youtube, vimeo, file)
+ * @param {string|null} url - Shared URL, lets the backend keep provider extras such as Vimeo's unlisted hash
  */
-async function fetchVideoInfo (videoId) {
+async function fetchVideoInfo (videoId, provider = "youtube", url = null) {
 	if (!videoId) return null;
+	provider = provider || "youtube";
 
 	try {
-		const res = await fetch("/api/video-info", {
+		const res = await fetch(apiUrl("/api/video-info"), {
 			method: "POST",
-			headers: { "Content-Type": "application/json" },
-			body: JSON.stringify({ videoId })
+			headers: { "Content-Type": "application/json", ...authHeaders() },
+			body: JSON.stringify(url ? { url } : { videoId, provider })
 		});
 
 		const json = await res.json().catch(() => null);
@@ -533,11 +1205,13 @@ async function fetchVideoInfo (videoId) {
 	}
 
 	// Final client-side fallback
+	const fallbacks = {
+		youtube: { title: "YouTube Video", channel: "YouTube", thumbnail: `https://img.youtube.com/vi/${videoId}/mqdefault.jpg`, url: `https://www.youtube.com/watch?v=${videoId}` },
+		vimeo: { title: "Vimeo Video", channel: "Vimeo", thumbnail: null, url: `https://vimeo.com/${videoId}` },
+		file: { title: "Video File", channel: "Direct link", thumbnail: null, url: videoId }
+	};
 	return {
-		title: "YouTube Video",
-		channel: "YouTube",
-		thumbnail: `https://img.youtube.com/vi/${videoId}/mqdefault.jpg`,
-		url: `https://www.youtube.com/watch?v=${videoId}`,
+		...(fallbacks[provider] || fallbacks.youtube),
 		description: "Video information could not be loaded",
 		duration: null,
 		views: null,
@@ -659,6 +1333,10 @@ function updateVideoProgress (currentTime, duration) {
 
 	// Show progress section
 	elements.videoProgress.style.display = "block";
+	state.duration = duration;
+
+	// The scrubber shows the drag target until the seek is sent
+	if (state.seeking) return;
 
 	// Update time displays
 	if (elements.currentTime) {
@@ -669,12 +1347,99 @@ function updateVideoProgress (currentTime, duration) {
 	}
 
 	// Update progress bar
-	if (elements.progressFill) {
-		const percentage = Math.min(100, Math.max(0, (currentTime / duration) * 100));
-		elements.progressFill.style.width = `${percentage}%`;
+	setProgressPosition(Math.min(100, Math.max(0, (currentTime / duration) * 100)));
+	if (elements.progressBar) {
+		elements.progressBar.setAttribute("aria-valuemax", String(Math.round(duration)));
+		elements.progressBar.setAttribute("aria-valuenow", String(Math.round(currentTime)));
+		elements.progressBar.setAttribute("aria-valuetext", formatDuration(currentTime) || "0:00");
+	}
+}
+
+/**
+ * Move the progress fill and scrubber thumb
+ * @param {number} percentage - Position from 0 to 100
+ */
+function setProgressPosition (percentage) {
+	if (elements.progressFill) elements.progressFill.style.width = `${percentage}%`;
+	if (elements.progressThumb) elements.progressThumb.style.left = `${percentage}%`;
+}
+
+/**
+ * Jump to an absolute position in the playing video
+ * @param {object} target - Either { position } in seconds or { percent } of the duration
+ */
+async function seekVideo (target) {
+	try {
+		const result = await apiRequest("/api/control", {
+			method: "POST",
+			body: JSON.stringify({ action: "seek", ...target })
+		});
+
+		if (!result.ok) throw new Error(result.error || "Failed to seek");
+	} catch (error) {
+		showToast(`Error: ${error.message}`, "error");
 	}
 }
 
+/**
+ * Turn the progress bar into a scrubber: drag to preview, release to seek
+ */
+function setupScrubber () {
+	const bar = elements.progressBar;
+	if (!bar) return;
+
+	const percentAt = (clientX) => {
+		const rect = bar.getBoundingClientRect();
+		return rect.width ? Math.min(100, Math.max(0, ((clientX - rect.left) / rect.width) * 100)) : 0;
+	};
+
+	const preview = (percent) => {
+		setProgressPosition(percent);
+		if (elements.currentTime) {
+			elements.currentTime.textContent = formatDuration((state.duration * percent) / 100) || "0:00";
+			elements.currentTime.classList.add("seek-preview");
+		}
+	};
+
+	const finish = (event, commit) => {
+		if (!state.seeking) return;
+		state.seeking = false;
+		bar.classList.remove("seeking");
+		elements.currentTime?.classList.remove("seek-preview");
+		if (bar.hasPointerCapture?.(event.pointerId)) bar.releasePointerCapture(event.pointerId);
+		if (commit) seekVideo({ percent: Math.round(percentAt(event.clientX) * 100) / 100 });
+	};
+
+	bar.addEventListener("pointerdown", (event) => {
+		if (!state.duration) return;
+		state.seeking = true;
+		bar.classList.add("seeking");
+		bar.setPointerCapture?.(event.pointerId);
+		preview(percentAt(event.clientX));
+	});
+	bar.addEventListener("pointermove", (event) => {
+		if (state.seeking) preview(percentAt(event.clientX));
+	});
+	bar.addEventListener("pointerup", (event) => finish(event, true));
+	bar.addEventListener("pointercancel", (event) => finish(event, false));
+
+	bar.addEventListener("keydown", (event) => {
+		if (!state.duration) return;
+		const now = Number(bar.getAttribute("aria-valuenow")) || 0;
+		const step = getSkipInterval();
+		const targets = {
+			ArrowLeft: now - step,
+			ArrowRight: now + step,
+			Home: 0,
+			End: state.duration
+		};
+		if (!(event.key in targets)) return;
+
+		event.preventDefault();
+		seekVideo({ position: Math.min(state.duration, Math.max(0, targets[event.key])) });
+	});
+}
+
 /**
  * Get the current skip interval from the custom dropdown
  * @returns {number} Skip interval in seconds
@@ -780,15 +1545,7 @@ async function togglePause () {
 		});
 
 		if (result.ok) {
-			if (elements.pauseButton) {
-				if (isPaused) {
-					elements.pauseButton.classList.remove("paused");
-					elements.pauseButton.querySelector(".button-text").textContent = "Pause";
-				} else {
-					elements.pauseButton.classList.add("paused");
-					elements.pauseButton.querySelector(".button-text").textContent = "Resume";
-				}
-			}
+			setPauseButton(!isPaused);
 			showToast(isPaused ? "Video resumed" : "Video paused", "success");
 		} else {
 			throw new Error(result.error || `Failed to ${action} video`);
@@ -799,20 +1556,221 @@ async function togglePause () {
 }
 
 /**
- * Set overlay mode on MagicMirror
- * @param {string} action - "fullscreen", "windowed", or "toggle"
+ * Skip to the next or previous track of the playing playlist
+ * @param {string} action - "next" or "previous"
  */
-async function setOverlay (action) {
+async function skipTrack (action) {
 	try {
-		const result = await apiRequest("/api/overlay", {
+		const result = await apiRequest("/api/control", {
 			method: "POST",
 			body: JSON.stringify({ action })
 		});
 
 		if (result.ok) {
-			const actionText = action === "fullscreen" ? "Fullscreen" : 
-			                  action === "windowed" ? "Windowed" : "Toggled";
-			showToast(`${actionText} mode activated`, "success");
+			showToast(action === "next" ? "Next track" : "Previous track", "success");
+		} else {
+			throw new Error(result.error || `Failed to skip to ${action} track`);
+		}
+	} catch (error) {
+		showToast(`Error: ${error.message}`, "error");
+	}
+}
+
+/**
+ * Show playlist navigation and position when a playlist is playing
+ * @param {object|null} playlist - Playlist state from the helper ({ id, index, total })
+ */
+function updatePlaylistControls (playlist) {
+	const display = playlist ? "" : "none";
+	if (elements.previousTrackButton) elements.previousTrackButton.style.display = display;
+	if (elements.nextTrackButton) elements.nextTrackButton.style.display = display;
+
+	if (elements.playlistPosition) {
+		elements.playlistPosition.textContent = playlist && Number.isInteger(playlist.index) && playlist.total
+			? `Playlist · track ${playlist.index + 1} of ${playlist.total}`
+			: playlist ? "Playlist" : "";
+	}
+}
+
+/**
+ * Set the mirror's volume
+ * @param {number} level - Volume from 0 to 100
+ */
+async function setVolume (level) {
+	try {
+		const result = await apiRequest("/api/control", {
+			method: "POST",
+			body: JSON.stringify({ action: "volume", level })
+		});
+
+		if (!result.ok) throw new Error(result.error || "Failed to set volume");
+	} catch (error) {
+		showToast(`Error: ${error.message}`, "error");
+	}
+}
+
+/**
+ * Toggle mute on the mirror
+ */
+async function toggleMute () {
+	const muted = elements.muteToggle?.classList.contains("muted");
+	const action = muted ? "unmute" : "mute";
+
+	try {
+		const result = await apiRequest("/api/control", {
+			method: "POST",
+			body: JSON.stringify({ action })
+		});
+
+		if (result.ok) {
+			setMuteButton(!muted);
+			showToast(muted ? "Sound on" : "Muted", "success");
+		} else {
+			throw new Error(result.error || `Failed to ${action}`);
+		}
+	} catch (error) {
+		showToast(`Error: ${error.message}`, "error");
+	}
+}
+
+/**
+ * Reflect the mute state on the mute button
+ * @param {boolean} muted - Whether the mirror is muted
+ */
+function setMuteButton (muted) {
+	if (!elements.muteToggle) return;
+	elements.muteToggle.classList.toggle("muted", muted);
+	elements.muteToggle.setAttribute("aria-pressed", muted ? "true" : "false");
+	elements.muteToggle.title = muted ? "Unmute" : "Mute";
+	elements.muteToggle.querySelector(".button-text").textContent = muted ? "Unmute" : "Mute";
+}
+
+/**
+ * Show the volume reported by the mirror (unless the user is dragging the slider)
+ * @param {object|null} player - Player status from the helper
+ * @param {number} max - Highest volume allowed by the mirror config
+ */
+function updateVolumeControls (player, max) {
+	if (!elements.volumeSlider) return;
+	if (Number.isInteger(max)) elements.volumeSlider.max = String(max);
+	if (!player || state.volumeDragging) return;
+
+	if (Number.isFinite(player.volume)) {
+		elements.volumeSlider.value = String(Math.round(player.volume));
+		if (elements.volumeValue) elements.volumeValue.textContent = String(Math.round(player.volume));
+	}
+	if (typeof player.muted === "boolean") setMuteButton(player.muted);
+}
+
+/**
+ * Change the mirror's playback speed
+ * @param {number} rate - Speed multiplier offered by the player
+ */
+async function setPlaybackRate (rate) {
+	try {
+		const result = await apiRequest("/api/control", {
+			method: "POST",
+			body: JSON.stringify({ action: "rate", rate })
+		});
+
+		if (result.ok) {
+			showToast(`Speed ${rate}×`, "success");
+		} else {
+			throw new Error(result.error || "Failed to change speed");
+		}
+	} catch (error) {
+		showToast(`Error: ${error.message}`, "error");
+	}
+}
+
+/**
+ * Set or cancel the sleep timer
+ * @param {string} value - Minutes, "end" (end of the video) or "off"
+ */
+async function setSleepTimer (value) {
+	const body = value === "end" || value === "off" ? { mode: value } : { mode: "minutes", minutes: Number(value) };
+
+	try {
+		const result = await apiRequest("/api/sleep", {
+			method: "POST",
+			body: JSON.stringify(body)
+		});
+		showToast(result.sleep ? "Sleep timer set" : "Sleep timer cancelled", "success");
+		updateSleepSelect(result.sleep);
+	} catch (error) {
+		if (!error.pairing) showToast(`Error: ${error.message}`, "error");
+		updateSleepSelect(null);
+	}
+}
+
+/**
+ * Show the sleep timer in the first option of its select
+ * @param {{mode: string, endsAt: string|null}|null} sleep - `state.sleep` from the helper
+ */
+function updateSleepSelect (sleep) {
+	const select = elements.sleepSelect;
+	if (!select) return;
+
+	let label = "Sleep timer: off";
+	if (sleep?.mode === "end") label = "Sleep timer: end of video";
+	else if (sleep?.endsAt) label = `Sleep timer: ${Math.max(1, Math.ceil((Date.parse(sleep.endsAt) - Date.now()) / 60000))} min left`;
+	select.options[0].textContent = label;
+	select.value = "";
+}
+
+/**
+ * Offer only the speeds the mirror's player supports and show the current one
+ * @param {number[]|null} rates - Available speeds
+ * @param {number|null} current - Speed in use
+ */
+function updateRateSelect (rates, current) {
+	const select = elements.rateSelect;
+	if (!select) return;
+
+	if (Array.isArray(rates) && rates.length) {
+		const values = rates.map(String);
+		const existing = Array.from(select.options, (option) => option.value);
+		if (values.join() !== existing.join()) {
+			select.replaceChildren(...rates.map((rate) => new Option(`${rate}×`, String(rate))));
+		}
+	}
+	if (Number.isFinite(current)) select.value = String(current);
+}
+
+/**
+ * Reflect the paused state on the pause/resume button
+ * @param {boolean} paused - Whether playback is paused
+ */
+function setPauseButton (paused) {
+	if (!elements.pauseButton) return;
+	elements.pauseButton.classList.toggle("paused", paused);
+	elements.pauseButton.querySelector(".button-text").textContent = paused ? "Resume" : "Pause";
+}
+
+/**
+ * Highlight the active mirror display mode
+ * @param {string} mode - "fullscreen" or "windowed"
+ */
+function setOverlayButtons (mode) {
+	if (elements.fullscreenButton) elements.fullscreenButton.classList.toggle("active", mode === "fullscreen");
+	if (elements.windowedButton) elements.windowedButton.classList.toggle("active", mode === "windowed");
+}
+
+/**
+ * Set overlay mode on MagicMirror
+ * @param {string} action - "fullscreen", "windowed", or "toggle"
+ */
+async function setOverlay (action) {
+	try {
+		const result = await apiRequest("/api/overlay", {
+			method: "POST",
+			body: JSON.stringify({ action })
+		});
+
+		if (result.ok) {
+			const actionText = action === "fullscreen" ? "Fullscreen" : 
+			                  action === "windowed" ? "Windowed" : "Toggled";
+			showToast(`${actionText} mode activated`, "success");
 		} else {
 			throw new Error(result.error || "Failed to set overlay mode");
 		}
@@ -875,47 +1833,105 @@ async function loadOptions () {
 			}
 		}
 
-		if (options && elements.captionEnabled) {
-			elements.captionEnabled.value = options.caption.enabled ? "on" : "off";
-			elements.captionLang.value = options.caption.lang || "en";
-			elements.qualityTarget.value = options.quality.target || "auto";
-			elements.qualityLock.value = options.quality.lock ? "on" : "off";
-		}
+		applyOptions(options);
 	} catch (error) {
 		console.error("Failed to load options:", error);
 	}
 }
 
+/**
+ * Show caption/quality options in the settings selects
+ * @param {object} options - { caption, quality } as stored by the helper
+ */
+function applyOptions (options) {
+	if (!options || !elements.captionEnabled) return;
+
+	if (options.caption) {
+		elements.captionEnabled.value = options.caption.enabled ? "on" : "off";
+		elements.captionLang.value = options.caption.lang || "en";
+	}
+	if (options.quality) {
+		elements.qualityTarget.value = options.quality.target || "auto";
+		elements.qualityLock.value = options.quality.lock ? "on" : "off";
+	}
+}
+
+/**
+ * Render the helper's playback state (from /api/status or the event stream)
+ * @param {object} serverState - `state` object reported by the helper
+ */
+async function applyStatus (serverState) {
+	if (!serverState) return;
+
+	renderQueue(serverState.queue);
+	updatePlaylistControls(serverState.playing ? serverState.playlist : null);
+	setPauseButton(Boolean(serverState.paused));
+	updateVolumeControls(serverState.player, state.volumeMax);
+	updateRateSelect(serverState.player?.rates, serverState.player?.rate);
+	if (document.activeElement !== elements.sleepSelect) updateSleepSelect(serverState.sleep);
+	if (serverState.playing && serverState.player?.duration) {
+		updateVideoProgress(serverState.player.currentTime || 0, serverState.player.duration);
+	} else if (elements.videoProgress) {
+		elements.videoProgress.style.display = "none";
+	}
+	setOverlayButtons(serverState.overlay);
+	updatePhotoSlideshow(serverState.photo);
+	updateLinkPanel(serverState.link);
+
+	state.currentUrl = serverState.playing ? serverState.lastUrl : null;
+
+	if (!serverState.playing || !(serverState.lastVideoId || serverState.lastPlaylistId)) {
+		// No video playing - hide controls
+		state.currentVideoId = null;
+		hideVideoControls();
+		return;
+	}
+
+	// Video is playing - show controls and load video info when the video changed
+	showVideoControls();
+	if (!serverState.lastVideoId || serverState.lastVideoId === state.currentVideoId) return;
+
+	state.currentVideoId = serverState.lastVideoId;
+	try {
+		const videoData = await fetchVideoInfo(serverState.lastVideoId, serverState.lastProvider, serverState.lastUrl);
+		if (videoData && state.currentVideoId === serverState.lastVideoId) {
+			updateVideoInfo(videoData);
+			console.log("[PWA] Updated video info for:", serverState.lastVideoId);
+		}
+	} catch (videoError) {
+		console.warn("[PWA] Failed to fetch video info:", videoError);
+	}
+}
+
 /**
  * Enhanced status checking with better video detection
  */
 async function checkStatus () {
 	try {
 		const result = await apiRequest("/api/status");
-		updateStatus(true, "Connected");
+		updateStatus(true, state.live ? "Connected (live)" : "Connected");
 
 		// Check if a video is currently playing and show controls if needed
 		if (result.ok && result.state) {
-			if (result.state.playing && result.state.lastVideoId) {
-				// Video is playing - show controls and load video info
-				showVideoControls();
+			await applyStatus(result.state);
+		}
 
-				// Always refresh video information to ensure it's current
-				try {
-					const videoData = await fetchVideoInfo(result.state.lastVideoId);
-					if (videoData) {
-						updateVideoInfo(videoData);
-						console.log("[PWA] Updated video info for:", result.state.lastVideoId);
-					}
-				} catch (videoError) {
-					console.warn("[PWA] Failed to fetch video info:", videoError);
-				}
-			} else {
-				// No video playing - hide controls
-				hideVideoControls();
-			}
+		state.volumeMax = result.config?.volumeMax;
+		if (elements.volumeSlider && Number.isInteger(state.volumeMax)) elements.volumeSlider.max = String(state.volumeMax);
+		updateRateSelect(result.config?.playbackRates, null);
+		// This page can only reach the mirrors listed in its own mirror's config
+		if (!activeMirror()) state.allowedMirrors = result.config?.mirrors || null;
+
+		if (result.config?.authEnabled && elements.devicesSection?.style.display === "none") {
+			loadDevices();
+			loadFilters();
 		}
+		if (!state.historyLoaded) loadHistory();
+		if (!state.favoritesLoaded) loadFavorites();
+		if (!state.notesLoaded) loadNotes();
+		if (!state.scheduleLoaded) loadSchedule();
 	} catch (error) {
+		if (error.pairing) return;
 		console.warn("[PWA] Status check failed:", error);
 		// Fallback to health check if status endpoint fails
 		try {
@@ -928,15 +1944,844 @@ async function checkStatus () {
 }
 
 /**
- *
+ * Subscribe to the helper's live event stream, reconnecting with exponential backoff
+ */
+function connectEvents () {
+	if (!("EventSource" in window) || state.pairingRequired) return;
+
+	if (state.eventSource) state.eventSource.close();
+	// EventSource cannot send headers; the token goes in the query string
+	const token = getToken();
+	const source = new EventSource(apiUrl(token ? `/api/events?token=${encodeURIComponent(token)}` : "/api/events"));
+	state.eventSource = source;
+
+	source.addEventListener("open", () => {
+		state.live = true;
+		state.eventRetries = 0;
+		updateStatus(true, "Connected (live)");
+	});
+
+	["status", "play", "stop", "control", "options", "overlay", "queue", "playlist", "player", "history", "favorites", "photo", "notes", "link", "schedule", "filters", "sleep"].forEach((type) => {
+		source.addEventListener(type, (event) => handleServerEvent(type, event));
+	});
+
+	source.addEventListener("error", () => {
+		// Take over from the browser's fixed retry so we can back off
+		source.close();
+		if (state.eventSource !== source) return;
+
+		state.live = false;
+		state.eventSource = null;
+		const delay = Math.min(30000, 1000 * 2 ** state.eventRetries);
+		state.eventRetries++;
+		updateStatus(false, `Reconnecting in ${Math.round(delay / 1000)}s...`);
+		setTimeout(connectEvents, delay);
+	});
+}
+
+/**
+ * Apply one event pushed by the helper
+ * @param {string} type - Event name
+ * @param {MessageEvent} event - EventSource message
+ */
+function handleServerEvent (type, event) {
+	let data;
+	try {
+		data = JSON.parse(event.data);
+	} catch (error) {
+		console.warn("[PWA] Ignoring malformed event:", type, error);
+		return;
+	}
+
+	if (type === "options") {
+		applyOptions(data);
+		localStorage.setItem("stmOptions", JSON.stringify({ caption: data.state.caption, quality: data.state.quality }));
+	}
+	if (type === "history") loadHistory();
+	if (type === "favorites") loadFavorites();
+	if (type === "notes") loadNotes();
+	if (type === "schedule") loadSchedule();
+	if (type === "filters" && elements.filtersSection?.style.display !== "none") loadFilters();
+
+	applyStatus(data.state);
+}
+
+/**
+ * Show the pairing panel after the mirror rejected this device
+ */
+function showPairing () {
+	if (state.pairingRequired) return;
+
+	state.pairingRequired = true;
+	setToken(null);
+	if (state.eventSource) {
+		state.eventSource.close();
+		state.eventSource = null;
+	}
+	state.live = false;
+
+	updateStatus(false, "Pairing required");
+	if (elements.pairing) elements.pairing.style.display = "block";
+}
+
+/**
+ * Ask the mirror to display a pairing PIN
+ */
+async function requestPairingPin () {
+	try {
+		const result = await apiRequest("/api/pair/start", { method: "POST" });
+		if (result.ok) {
+			showToast("Check the mirror for your PIN", "success");
+			if (elements.pairPin) elements.pairPin.focus();
+		}
+	} catch (error) {
+		showToast(`Error: ${error.message}`, "error");
+	}
+}
+
+/**
+ * Trade the PIN shown on the mirror for a device token
+ */
+async function submitPairing () {
+	const pin = (elements.pairPin?.value || "").replace(/\s+/g, "");
+	if (!(/^\d{6}$/).test(pin)) {
+		showToast("Enter the 6-digit PIN shown on the mirror", "warning");
+		return;
+	}
+
+	try {
+		const result = await apiRequest("/api/pair", {
+			method: "POST",
+			body: JSON.stringify({ pin, name: elements.pairName?.value || navigator.userAgentData?.platform || "" })
+		});
+
+		if (!result.ok) throw new Error(result.error || "Pairing failed");
+
+		setToken(result.token);
+		state.pairingRequired = false;
+		if (elements.pairing) elements.pairing.style.display = "none";
+		if (elements.pairPin) elements.pairPin.value = "";
+		showToast(`Paired as "${result.device.name}"`, "success");
+
+		checkStatus();
+		connectEvents();
+
+		const pending = sessionStorage.getItem("pendingShareUrl");
+		if (pending) playVideo(pending);
+		const pendingLink = sessionStorage.getItem("pendingShareLink");
+		if (pendingLink) showLink(pendingLink);
+	} catch (error) {
+		showToast(`Error: ${error.message}`, "error");
+	}
+}
+
+/**
+ * List paired devices with a revoke button each (only when the mirror requires pairing)
  */
-function handleSharedUrl () {
-	const urlParams = new URLSearchParams(window.location.search);
+async function loadDevices () {
+	if (!elements.devicesSection || !elements.deviceList) return;
+
+	try {
+		const result = await apiRequest("/api/devices");
+		elements.deviceList.innerHTML = "";
+
+		result.devices.forEach((device) => {
+			const li = document.createElement("li");
+			li.className = "device-item";
+
+			const name = document.createElement("span");
+			name.className = "device-item__name";
+			name.textContent = device.current ? `${device.name} (this device)` : device.name;
+
+			const meta = document.createElement("span");
+			meta.className = "device-item__meta";
+			meta.textContent = [device.admin ? "Admin" : null, `Last seen ${formatDate(device.lastSeen).toLowerCase()}`].filter(Boolean).join(" · ");
+
+			const revoke = document.createElement("button");
+			revoke.type = "button";
+			revoke.className = "queue-item__action";
+			revoke.textContent = "Revoke";
+			revoke.addEventListener("click", () => revokeDevice(device));
+
+			li.append(name, meta, revoke);
+			elements.deviceList.appendChild(li);
+		});
+
+		elements.devicesSection.style.display = "block";
+	} catch (error) {
+		console.warn("[PWA] Failed to load devices:", error);
+	}
+}
+
+/**
+ * Load the most recent history entries (at least as many as are already shown)
+ * @param {boolean} more - Append the next page instead of refreshing
+ */
+async function loadHistory (more = false) {
+	if (!elements.historySection || !elements.historyList) return;
+
+	const offset = more ? state.historyItems.length : 0;
+	const limit = more ? 20 : Math.min(100, Math.max(20, state.historyItems.length));
+
+	try {
+		const result = await apiRequest(`/api/history?offset=${offset}&limit=${limit}`);
+		if (!result.ok) return;
+
+		state.historyLoaded = true;
+		state.historyItems = more ? state.historyItems.concat(result.items) : result.items;
+		state.historyTotal = result.total;
+		renderHistory();
+	} catch (error) {
+		console.warn("[PWA] Failed to load history:", error);
+	}
+}
+
+/**
+ * Render the "Recently Played" list
+ */
+function renderHistory () {
+	const items = state.historyItems;
+	updateLibraryVisibility();
+	elements.historyList.innerHTML = "";
+
+	items.forEach((item) => {
+		const li = document.createElement("li");
+		li.className = "history-item";
+
+		const replay = document.createElement("button");
+		replay.type = "button";
+		replay.className = "history-item__replay";
+		replay.title = "Play again";
+
+		const title = document.createElement("span");
+		title.className = "history-item__title";
+		title.textContent = item.title || item.url || item.videoId || item.playlistId;
+
+		const meta = document.createElement("span");
+		meta.className = "history-item__meta";
+		const sender = item.source?.device || (item.source?.via === "share" ? "Share sheet" : null);
+		const watched = item.duration ? `${Math.min(100, Math.round((item.watched / item.duration) * 100))}% watched` : null;
+		meta.textContent = [formatDate(item.startedAt), sender, watched].filter(Boolean).join(" · ");
+
+		replay.append(title, meta);
+		replay.addEventListener("click", () => replayHistory(item));
+
+		const save = document.createElement("button");
+		save.type = "button";
+		save.className = "queue-item__action";
+		save.textContent = "☆";
+		save.title = "Add to favorites";
+		save.setAttribute("aria-label", `Add ${title.textContent} to favorites`);
+		save.addEventListener("click", () => addFavorite(item.url, item.title));
+
+		const remove = document.createElement("button");
+		remove.type = "button";
+		remove.className = "queue-item__action";
+		remove.textContent = "✕";
+		remove.title = "Remove from history";
+		remove.setAttribute("aria-label", `Remove ${title.textContent} from history`);
+		remove.addEventListener("click", () => updateHistory("/api/history/remove", { id: item.id }));
+
+		li.append(replay, save, remove);
+		elements.historyList.appendChild(li);
+	});
+
+	if (elements.historyMore) {
+		elements.historyMore.style.display = items.length < state.historyTotal ? "inline-flex" : "none";
+	}
+}
+
+/**
+ * Play a history entry again
+ * @param {object} item - History entry
+ */
+async function replayHistory (item) {
+	try {
+		const result = await apiRequest("/api/history/replay", {
+			method: "POST",
+			body: JSON.stringify({ id: item.id })
+		});
+
+		if (result.ok) {
+			if (result.quiet) showToast(result.quiet.message, "warning");
+			else showToast("Playing on MagicMirror²", "success");
+			if (result.mode !== "held") showVideoControls();
+		} else {
+			throw new Error(result.error || "Failed to replay video");
+		}
+	} catch (error) {
+		showToast(`Error: ${error.message}`, "error");
+	}
+}
+
+/**
+ * Send a history management request and reload the list
+ * @param {string} endpoint - History API endpoint
+ * @param {object} body - Request payload
+ */
+async function updateHistory (endpoint, body = {}) {
+	try {
+		const result = await apiRequest(endpoint, {
+			method: "POST",
+			body: JSON.stringify(body)
+		});
+
+		if (!result.ok) throw new Error(result.error || "Failed to update history");
+		loadHistory();
+	} catch (error) {
+		showToast(`Error: ${error.message}`, "error");
+	}
+}
+
+/**
+ * Show the library card once there is history or a favorite to show
+ */
+function updateLibraryVisibility () {
+	if (!elements.historySection) return;
+	const hasContent = state.historyItems.length > 0 || state.favorites.length > 0;
+	elements.historySection.style.display = hasContent ? "block" : "none";
+}
+
+/**
+ * Switch between the "Recently Played" and "Favorites" tabs
+ * @param {"history"|"favorites"} tab - Tab to show
+ */
+function selectLibraryTab (tab) {
+	const favorites = tab === "favorites";
+
+	elements.historyTab?.classList.toggle("active", !favorites);
+	elements.favoritesTab?.classList.toggle("active", favorites);
+	elements.historyTab?.setAttribute("aria-selected", String(!favorites));
+	elements.favoritesTab?.setAttribute("aria-selected", String(favorites));
+	if (elements.historyPanel) elements.historyPanel.hidden = favorites;
+	if (elements.favoritesPanel) elements.favoritesPanel.hidden = !favorites;
+}
+
+/**
+ * Load all favorites and the folders they are filed under
+ */
+async function loadFavorites () {
+	if (!elements.favoritesList) return;
+
+	try {
+		const result = await apiRequest("/api/favorites");
+		if (!result.ok) return;
+
+		state.favoritesLoaded = true;
+		state.favorites = result.favorites;
+		renderFolderFilter(result.folders);
+		renderFavorites();
+	} catch (error) {
+		console.warn("[PWA] Failed to load favorites:", error);
+	}
+}
+
+/**
+ * Offer a folder filter when favorites are filed in folders
+ * @param {string[]} folders - Folder names
+ */
+function renderFolderFilter (folders) {
+	const select = elements.favoritesFolder;
+	if (!select) return;
+
+	const selected = select.value;
+	select.replaceChildren(new Option("All folders", ""), ...folders.map((folder) => new Option(folder, folder)));
+	select.value = folders.includes(selected) ? selected : "";
+	select.style.display = folders.length > 0 ? "block" : "none";
+}
+
+/**
+ * Render the favorites list, filtered by the selected folder
+ */
+function renderFavorites () {
+	const folder = elements.favoritesFolder?.value || "";
+	const items = state.favorites.filter((item) => !folder || item.folder === folder);
+
+	updateLibraryVisibility();
+	elements.favoritesList.innerHTML = "";
+	if (elements.favoritesEmpty) elements.favoritesEmpty.style.display = state.favorites.length > 0 ? "none" : "block";
+
+	items.forEach((item) => {
+		const index = state.favorites.indexOf(item);
+		const li = document.createElement("li");
+		li.className = "history-item";
+
+		const play = document.createElement("button");
+		play.type = "button";
+		play.className = "history-item__replay";
+		play.title = "Play on the mirror";
+
+		const title = document.createElement("span");
+		title.className = "history-item__title";
+		title.textContent = item.title || item.url;
+
+		const meta = document.createElement("span");
+		meta.className = "history-item__meta";
+		meta.textContent = [item.folder, ...item.tags.map((tag) => `#${tag}`)].filter(Boolean).join(" · ");
+
+		play.append(title, meta);
+		play.addEventListener("click", () => playVideo(item.url));
+
+		const edit = document.createElement("button");
+		edit.type = "button";
+		edit.className = "queue-item__action";
+		edit.textContent = "✎";
+		edit.title = "Folder and tags";
+		edit.setAttribute("aria-label", `Edit folder and tags of ${title.textContent}`);
+		edit.addEventListener("click", () => editFavorite(item));
+
+		const up = document.createElement("button");
+		up.type = "button";
+		up.className = "queue-item__action";
+		up.textContent = "▲";
+		up.title = "Move up";
+		up.setAttribute("aria-label", `Move ${title.textContent} up`);
+		up.disabled = index === 0;
+		up.addEventListener("click", () => updateFavorites("/api/favorites/move", { id: item.id, index: index - 1 }));
+
+		const remove = document.createElement("button");
+		remove.type = "button";
+		remove.className = "queue-item__action";
+		remove.textContent = "✕";
+		remove.title = "Remove from favorites";
+		remove.setAttribute("aria-label", `Remove ${title.textContent} from favorites`);
+		remove.addEventListener("click", () => updateFavorites("/api/favorites/remove", { id: item.id }));
+
+		li.append(play, edit, up, remove);
+		elements.favoritesList.appendChild(li);
+	});
+}
+
+/**
+ * Save a video to the favorites
+ * @param {string} url - Video URL
+ * @param {string|null} title - Title if already known
+ */
+async function addFavorite (url, title = null) {
+	if (!url?.trim()) {
+		showToast("Enter a video URL or play a video first", "warning");
+		return;
+	}
+
+	try {
+		const result = await apiRequest("/api/favorites", {
+			method: "POST",
+			body: JSON.stringify({ url, title })
+		});
+
+		if (result.ok) {
+			showToast(result.existing ? "Already in favorites" : "Added to favorites", "success");
+			state.favorites = result.favorites;
+			renderFavorites();
+		} else {
+			throw new Error(result.error || "Failed to add favorite");
+		}
+	} catch (error) {
+		showToast(`Error: ${error.message}`, "error");
+	}
+}
+
+/**
+ * Ask for a favorite's folder and tags
+ * @param {object} item - Favorite entry
+ */
+function editFavorite (item) {
+	const folder = prompt("Folder (leave empty for none)", item.folder || "");
+	if (folder === null) return;
+	const tags = prompt("Tags, separated by commas", item.tags.join(", "));
+	if (tags === null) return;
+
+	updateFavorites("/api/favorites/update", {
+		id: item.id,
+		folder,
+		tags: tags.split(",")
+	}, "Favorite updated");
+}
+
+/**
+ * Send a favorites management request and re-render the list from the response
+ * @param {string} endpoint - Favorites API endpoint
+ * @param {object} body - Request payload
+ * @param {string} successMessage - Toast shown on success (optional)
+ */
+async function updateFavorites (endpoint, body = {}, successMessage = "") {
+	try {
+		const result = await apiRequest(endpoint, {
+			method: "POST",
+			body: JSON.stringify(body)
+		});
+
+		if (!result.ok) throw new Error(result.error || "Failed to update favorites");
+		if (successMessage) showToast(successMessage, "success");
+		loadFavorites();
+	} catch (error) {
+		showToast(`Error: ${error.message}`, "error");
+	}
+}
+
+// Content filter lists and the textareas editing them
+const FILTER_FIELDS = {
+	allowChannels: "filterAllowChannels",
+	denyChannels: "filterDenyChannels",
+	allowVideos: "filterAllowVideos",
+	denyVideos: "filterDenyVideos",
+	blockKeywords: "filterBlockKeywords"
+};
+
+/**
+ * Load the content filter; the editor is only shown on admin devices
+ */
+async function loadFilters () {
+	if (!elements.filtersSection) return;
+
+	try {
+		const result = await apiRequest("/api/filters");
+		elements.filtersSection.style.display = result.admin ? "block" : "none";
+		if (result.admin) renderFilters(result);
+	} catch (error) {
+		if (!error.pairing) console.warn("[PWA] Failed to load content filter:", error);
+	}
+}
+
+/**
+ * Fill the content filter editor with the lists saved from the PWA
+ * @param {{config: object, saved: object}} result - Response from /api/filters
+ */
+function renderFilters ({ config, saved }) {
+	elements.filterKidsMode.value = saved.kidsMode === null ? "" : saved.kidsMode ? "on" : "off";
+	elements.filterKidsMode.options[0].textContent = `As in config.js (${config.kidsMode ? "on" : "off"})`;
+	Object.entries(FILTER_FIELDS).forEach(([key, id]) => {
+		elements[id].value = saved[key].join("\n");
+	});
+
+	// Entries from config.js still apply but can only be changed there
+	const fromConfig = Object.keys(FILTER_FIELDS).reduce((total, key) => total + config[key].length, 0);
+	elements.filtersConfig.textContent = fromConfig ? `config.js adds ${fromConfig} more ${fromConfig === 1 ? "entry" : "entries"}.` : "";
+}
+
+/**
+ * Save the content filter editor (admin devices only)
+ */
+async function saveFilters () {
+	const { value } = elements.filterKidsMode;
+	const body = { kidsMode: value === "" ? null : value === "on" };
+	Object.entries(FILTER_FIELDS).forEach(([key, id]) => {
+		body[key] = elements[id].value.split("\n").map((line) => line.trim()).filter(Boolean);
+	});
+
+	try {
+		const result = await apiRequest("/api/filters", {
+			method: "POST",
+			body: JSON.stringify(body)
+		});
+		showToast("Content filter saved", "success");
+		renderFilters(result);
+	} catch (error) {
+		if (!error.pairing) showToast(`Error: ${error.message}`, "error");
+	}
+}
+
+/**
+ * Revoke a paired device's token
+ * @param {object} device - Device from /api/devices
+ */
+async function revokeDevice (device) {
+	if (!confirm(`Revoke access for "${device.name}"?`)) return;
+
+	try {
+		const result = await apiRequest("/api/devices/revoke", {
+			method: "POST",
+			body: JSON.stringify({ id: device.id })
+		});
+
+		if (!result.ok) throw new Error(result.error || "Failed to revoke device");
+
+		showToast(`Revoked "${device.name}"`, "success");
+		if (device.current) showPairing();
+		else loadDevices();
+	} catch (error) {
+		showToast(`Error: ${error.message}`, "error");
+	}
+}
+
+/**
+ * List the mirrors (this one first) with their status, and fill the mirror switcher
+ */
+function renderMirrors () {
+	const mirrors = loadMirrors();
+	const current = activeMirror();
+	const entries = [null, ...mirrors];
+
+	if (elements.mirrorSwitch) elements.mirrorSwitch.style.display = mirrors.length ? "" : "none";
+	if (elements.mirrorSelect) {
+		elements.mirrorSelect.innerHTML = "";
+		entries.forEach((mirror) => elements.mirrorSelect.add(new Option(mirror ? mirror.name : "This mirror", mirror?.url || "")));
+		elements.mirrorSelect.value = current?.url || "";
+	}
+
+	if (!elements.mirrorList) return;
+	elements.mirrorList.innerHTML = "";
+	state.mirrorRows = entries.map((mirror) => {
+		const li = document.createElement("li");
+		li.className = "device-item";
+
+		const name = document.createElement("span");
+		name.className = "device-item__name";
+		name.textContent = `${mirror ? mirror.name : "This mirror"}${(mirror?.url || "") === (current?.url || "") ? " (current)" : ""}`;
+
+		const meta = document.createElement("span");
+		meta.className = "device-item__meta";
+		li.append(name, meta);
+
+		if (mirror) {
+			const remove = document.createElement("button");
+			remove.type = "button";
+			remove.className = "queue-item__action";
+			remove.textContent = "Remove";
+			remove.addEventListener("click", () => removeMirror(mirror));
+			li.appendChild(remove);
+		}
+
+		elements.mirrorList.appendChild(li);
+		return { mirror, meta };
+	});
+
+	refreshMirrorStatus();
+}
+
+/**
+ * Show what every listed mirror is doing next to its address
+ */
+function refreshMirrorStatus () {
+	state.mirrorRows.forEach(({ mirror, meta }) => {
+		const host = mirror ? new URL(mirror.url).host : window.location.host;
+		if (!meta.textContent) meta.textContent = `${host} · Checking...`;
+		fetchMirrorStatus(mirror).then((status) => {
+			meta.textContent = `${host} · ${status}`;
+		});
+	});
+}
+
+/**
+ * Ask one mirror for its status without touching the pairing panel of the active one
+ * @param {object|null} mirror - Entry from loadMirrors(), or null for the mirror serving the PWA
+ * @returns {Promise<string>} Short description: Playing, Paused, Idle, Not paired, Offline, ...
+ */
+async function fetchMirrorStatus (mirror) {
+	const controller = new AbortController();
+	const timeoutId = setTimeout(() => controller.abort(), 5000);
+
+	try {
+		const response = await fetch(apiUrl("/api/status", mirror), { headers: authHeaders(mirror), signal: controller.signal });
+		if (response.status === 401) return "Not paired";
+
+		const result = await response.json();
+		const mirrorState = result.state;
+		if (!response.ok || !mirrorState) return "Error";
+		if (mirrorState.playing) return mirrorState.paused ? "Paused" : "Playing";
+		if (mirrorState.photo) return "Showing photos";
+		if (mirrorState.link) return "Showing a link";
+		return "Idle";
+	} catch {
+		return "Offline";
+	} finally {
+		clearTimeout(timeoutId);
+	}
+}
+
+/**
+ * Add another mirror from the name, address and (optional) token fields
+ */
+function addMirror () {
+	const address = (elements.mirrorUrl?.value || "").trim();
+	let url = null;
+	try {
+		url = new URL(address.includes("://") ? address : `http://${address}`);
+	} catch {
+		// reported below
+	}
+
+	if (!address || !url || !["http:", "https:"].includes(url.protocol)) {
+		showToast("Enter the mirror's address, e.g. http://192.168.1.21:8570", "warning");
+		return;
+	}
+	// Browsers block plain http requests from a page loaded over https
+	if (window.location.protocol === "https:" && url.protocol === "http:") {
+		showToast("This page uses https, so the other mirror needs https too", "warning");
+		return;
+	}
+	if (state.allowedMirrors && !state.allowedMirrors.includes(url.origin)) {
+		showToast(`Add "${url.origin}" to mirrors in this mirror's config.js first`, "warning");
+		return;
+	}
+
+	const mirrors = loadMirrors();
+	if (url.origin === window.location.origin || mirrors.some((mirror) => mirror.url === url.origin)) {
+		showToast("That mirror is already in the list", "warning");
+		return;
+	}
+
+	const name = (elements.mirrorName?.value || "").trim() || url.host;
+	mirrors.push({ name, url: url.origin, token: (elements.mirrorToken?.value || "").trim() || null });
+	saveMirrors(mirrors);
+
+	[elements.mirrorName, elements.mirrorUrl, elements.mirrorToken].forEach((input) => {
+		if (input) input.value = "";
+	});
+	showToast(`Added "${name}"`, "success");
+	renderMirrors();
+}
+
+/**
+ * Forget a mirror (and its token); switches back to this mirror if it was active
+ * @param {object} mirror - Entry from loadMirrors()
+ */
+function removeMirror (mirror) {
+	if (!confirm(`Remove "${mirror.name}" from this phone?`)) return;
+
+	const wasActive = activeMirror()?.url === mirror.url;
+	saveMirrors(loadMirrors().filter((entry) => entry.url !== mirror.url));
+	showToast(`Removed "${mirror.name}"`, "success");
+	if (wasActive) switchMirror("");
+	else renderMirrors();
+}
+
+/**
+ * Point every API call and the event stream at another mirror
+ * @param {string} url - Mirror origin from loadMirrors(), or "" for the mirror serving the PWA
+ */
+function switchMirror (url) {
+	if (url) localStorage.setItem("stmMirror", url);
+	else localStorage.removeItem("stmMirror");
+
+	if (state.eventSource) {
+		state.eventSource.close();
+		state.eventSource = null;
+	}
+	Object.assign(state, {
+		live: false,
+		eventRetries: 0,
+		pairingRequired: false,
+		currentVideoId: null,
+		currentUrl: null,
+		historyLoaded: false,
+		historyItems: [],
+		favoritesLoaded: false,
+		notesLoaded: false,
+		scheduleLoaded: false
+	});
+	[elements.pairing, elements.devicesSection, elements.filtersSection].forEach((section) => {
+		if (section) section.style.display = "none";
+	});
+	hideVideoControls();
+	// Captions and quality are kept per mirror; read them from the new one
+	localStorage.removeItem("stmOptions");
+
+	renderMirrors();
+	updateStatus(false, "Connecting...");
+	loadOptions();
+	checkStatus();
+	connectEvents();
+}
+
+/**
+ * Ask which mirror a shared link goes to, then handle it there
+ * @param {URLSearchParams} params - Share parameters (url, link or note)
+ */
+function showMirrorPicker (params) {
+	if (!elements.mirrorPicker || !elements.mirrorPickerList) return;
+
+	if (elements.mirrorPickerShared) {
+		elements.mirrorPickerShared.textContent = params.get("url") || params.get("text") || params.get("link") || params.get("note") || "";
+	}
+	elements.mirrorPickerList.innerHTML = "";
+
+	[null, ...loadMirrors()].forEach((mirror) => {
+		const button = document.createElement("button");
+		button.type = "button";
+		button.className = mirror?.url === activeMirror()?.url ? "btn btn--primary" : "btn";
+		button.textContent = mirror ? mirror.name : "This mirror";
+		button.addEventListener("click", () => {
+			elements.mirrorPicker.style.display = "none";
+			if ((mirror?.url || "") !== (activeMirror()?.url || "")) switchMirror(mirror?.url || "");
+			handleSharedUrl(params);
+		});
+		elements.mirrorPickerList.appendChild(button);
+	});
+
+	const cancel = document.createElement("button");
+	cancel.type = "button";
+	cancel.className = "btn";
+	cancel.textContent = "Cancel";
+	cancel.addEventListener("click", () => {
+		elements.mirrorPicker.style.display = "none";
+	});
+	elements.mirrorPickerList.appendChild(cancel);
+
+	elements.mirrorPicker.style.display = "block";
+}
+
+/**
+ * Act on a link or text handed over by the share target (or replayed after pairing or picking a mirror)
+ * @param {URLSearchParams} urlParams - Defaults to the page's query string
+ */
+function handleSharedUrl (urlParams = new URLSearchParams(window.location.search)) {
+	// Phones that control several mirrors choose where the link goes first
+	if (urlParams.has("pick")) {
+		urlParams.delete("pick");
+		window.history.replaceState({}, document.title, "/");
+		if (loadMirrors().length) {
+			showMirrorPicker(urlParams);
+			return;
+		}
+	}
+
 	const sharedUrl = urlParams.get("url") || urlParams.get("text");
+	const sharedNote = urlParams.get("note");
+	const sharedLink = urlParams.get("link");
+	const quietMessage = urlParams.get("quiet");
+	const blockedMessage = urlParams.get("blocked");
+
+	// The share target turned a video away because of the content filter
+	if (blockedMessage) {
+		showToast(blockedMessage, "error");
+		window.history.replaceState({}, document.title, "/");
+		return;
+	}
+
+	// The share target held back or limited a video because of quiet hours
+	if (quietMessage) {
+		showToast(quietMessage, "warning");
+		window.history.replaceState({}, document.title, "/");
+		return;
+	}
+
+	// Links opened from another page (GET /share-target) are only sent once confirmed here
+	if (urlParams.has("confirm") && (sharedUrl || sharedLink)) {
+		window.history.replaceState({}, document.title, "/");
+		if (!confirm(`Send this to the mirror?\n\n${sharedUrl || sharedLink}`)) return;
+	}
+
+	// Text shared before pairing: leave it in the note field to post once paired
+	if (sharedNote && elements.noteText) {
+		elements.noteText.value = sharedNote;
+		window.history.replaceState({}, document.title, "/");
+		return;
+	}
+
+	// Non-video link shared before pairing: kept until it shows, like videos
+	if (sharedLink) {
+		sessionStorage.setItem("pendingShareLink", sharedLink);
+		showLink(sharedLink);
+		window.history.replaceState({}, document.title, "/");
+		return;
+	}
 
 	if (sharedUrl) {
 		// Mark this as a shared URL before clearing the URL
 		sessionStorage.setItem("isSharedUrl", "true");
+		// Kept until it plays, so it can be replayed after pairing
+		sessionStorage.setItem("pendingShareUrl", sharedUrl);
 		playVideo(sharedUrl);
 		window.history.replaceState({}, document.title, "/");
 	}
@@ -1047,6 +2892,39 @@ function setupEventListeners () {
 	if (elements.stopButton) {
 		elements.stopButton.addEventListener("click", stopPlayback);
 	}
+	if (elements.favoriteButton) {
+		elements.favoriteButton.addEventListener("click", () => addFavorite(elements.url.value.trim() || state.currentUrl));
+	}
+	if (elements.enqueueButton) {
+		elements.enqueueButton.addEventListener("click", () => queueVideo(elements.url.value));
+	}
+	if (elements.showLinkButton) {
+		elements.showLinkButton.addEventListener("click", () => showLink(elements.url.value));
+	}
+
+	// Pairing
+	if (elements.pairStartButton) {
+		elements.pairStartButton.addEventListener("click", requestPairingPin);
+	}
+	if (elements.pairSubmitButton) {
+		elements.pairSubmitButton.addEventListener("click", submitPairing);
+	}
+	if (elements.pairPin) {
+		elements.pairPin.addEventListener("keydown", (event) => {
+			if (event.key === "Enter") {
+				event.preventDefault();
+				submitPairing();
+			}
+		});
+	}
+
+	// Queue buttons
+	if (elements.queueNextButton) {
+		elements.queueNextButton.addEventListener("click", () => updateQueue("/api/queue/next", {}, "Skipped to next video"));
+	}
+	if (elements.queueClearButton) {
+		elements.queueClearButton.addEventListener("click", () => updateQueue("/api/queue/clear", {}, "Queue cleared"));
+	}
 
 	// URL input
 	if (elements.url) {
@@ -1068,6 +2946,51 @@ function setupEventListeners () {
 	if (elements.forwardButton) {
 		elements.forwardButton.addEventListener("click", forwardVideo);
 	}
+	if (elements.muteToggle) {
+		elements.muteToggle.addEventListener("click", toggleMute);
+	}
+	if (elements.volumeSlider) {
+		elements.volumeSlider.addEventListener("input", () => {
+			state.volumeDragging = true;
+			if (elements.volumeValue) elements.volumeValue.textContent = elements.volumeSlider.value;
+		});
+		elements.volumeSlider.addEventListener("change", () => {
+			state.volumeDragging = false;
+			setVolume(Number(elements.volumeSlider.value));
+		});
+	}
+	if (elements.sleepSelect) {
+		elements.sleepSelect.addEventListener("change", () => {
+			if (elements.sleepSelect.value) setSleepTimer(elements.sleepSelect.value);
+		});
+	}
+	if (elements.rateSelect) {
+		elements.rateSelect.addEventListener("change", () => setPlaybackRate(Number(elements.rateSelect.value)));
+	}
+	setupScrubber();
+	if (elements.historyMore) {
+		elements.historyMore.addEventListener("click", () => loadHistory(true));
+	}
+	if (elements.historyTab) {
+		elements.historyTab.addEventListener("click", () => selectLibraryTab("history"));
+	}
+	if (elements.favoritesTab) {
+		elements.favoritesTab.addEventListener("click", () => selectLibraryTab("favorites"));
+	}
+	if (elements.favoritesFolder) {
+		elements.favoritesFolder.addEventListener("change", renderFavorites);
+	}
+	if (elements.historyClear) {
+		elements.historyClear.addEventListener("click", () => {
+			if (confirm("Clear the whole history?")) updateHistory("/api/history/clear");
+		});
+	}
+	if (elements.previousTrackButton) {
+		elements.previousTrackButton.addEventListener("click", () => skipTrack("previous"));
+	}
+	if (elements.nextTrackButton) {
+		elements.nextTrackButton.addEventListener("click", () => skipTrack("next"));
+	}
 
 	// Overlay control buttons
 	const mmFSOnButton = document.getElementById("mmFSOn");
@@ -1100,9 +3023,69 @@ function setupEventListeners () {
 		.forEach((element) => element.addEventListener("change", saveOptions));
 
 	// Network status
+	// Notes
+	if (elements.notePost) {
+		elements.notePost.addEventListener("click", postNote);
+	}
+	if (elements.noteSender) {
+		elements.noteSender.value = localStorage.getItem("stmNoteSender") || "";
+	}
+
+	// Content filter
+	if (elements.filtersSave) {
+		elements.filtersSave.addEventListener("click", saveFilters);
+	}
+
+	// Schedule
+	if (elements.scheduleAdd) {
+		elements.scheduleAdd.addEventListener("click", addScheduleRule);
+	}
+
+	// Mirrors
+	if (elements.mirrorSelect) {
+		elements.mirrorSelect.addEventListener("change", () => switchMirror(elements.mirrorSelect.value));
+	}
+	if (elements.mirrorAdd) {
+		elements.mirrorAdd.addEventListener("click", addMirror);
+	}
+
+	// Photos
+	if (elements.photoPick && elements.photoInput) {
+		elements.photoPick.addEventListener("click", () => elements.photoInput.click());
+		elements.photoInput.addEventListener("change", () => uploadPhotos(elements.photoInput.files));
+	}
+	if (elements.photoFit) {
+		// Changes the photo on screen right away; otherwise applies to the next upload
+		elements.photoFit.addEventListener("change", () => {
+			if (state.photo) controlPhotos("fit", { fit: elements.photoFit.value });
+		});
+	}
+	if (elements.photoPrevious) {
+		elements.photoPrevious.addEventListener("click", () => controlPhotos("previous"));
+	}
+	if (elements.photoNext) {
+		elements.photoNext.addEventListener("click", () => controlPhotos("next"));
+	}
+	if (elements.photoDismiss) {
+		elements.photoDismiss.addEventListener("click", () => controlPhotos("dismiss"));
+	}
+	if (elements.linkPage) {
+		elements.linkPage.addEventListener("click", () => controlLink("page"));
+	}
+	if (elements.linkCard) {
+		elements.linkCard.addEventListener("click", () => controlLink("card"));
+	}
+	if (elements.linkDismiss) {
+		elements.linkDismiss.addEventListener("click", () => controlLink("dismiss"));
+	}
+
 	window.addEventListener("online", () => {
 		updateStatus(true, "Connected");
 		checkStatus();
+		if (!state.eventSource) {
+			state.eventRetries = 0;
+			connectEvents();
+		}
 	});
 	window.addEventListener("offline", () => updateStatus(false, "Offline"));
 
@@ -3,7 +3,7 @@
  * Provides caching, offline functionality, and share target handling
  */
 
-const CACHE_NAME = "stm-v1.6.6";
+const CACHE_NAME = "stm-v1.6.7";
 const STATIC_CACHE = [
 	"/",
 	"/index.html",
@@ -59,6 +59,9 @@ self.addEventListener("fetch", (event) => {
 	// Skip external requests
 	if (!request.url.startsWith(self.location.origin)) return;
 
+	// API calls (including the live event stream) always go to the network
+	if (new URL(request.url).pathname.startsWith("/api/")) return;
+
 	event.respondWith(
 		caches.match(request)
 			.then((response) => {
@@ -73,7 +76,7 @@ self.addEventListener("fetch", (event) => {
 					return fetchResponse;
 				});
 			})
-			).catch(() => {
+			.catch(() => {
 				// Offline fallback for HTML requests
 				if (request.headers.get("accept")?.includes("text/html")) {
 					return caches.match("/index.html");